@@ -2,7 +2,12 @@ import { Telegraf } from "telegraf";
 import { BOT_TOKEN, ADMIN_ID, ADMIN_GROUP_ID, OWNER_X, ENABLE_LOGS } from "./src/config.js";
 import { db } from "./src/database.js";
 import { logger, checkRateLimit } from "./src/utils.js";
-import { setupHandlers } from "./src/handlers.js";
+import { setupHandlers, restoreSessions } from "./src/handlers.js";
+import { scheduler } from "./src/scheduler.js";
+import { distributionRunner } from "./src/distribution.js";
+import { followClaimSweeper } from "./src/followClaims.js";
+import { enforcementSweeper } from "./src/enforcement.js";
+import { ocrPool } from "./src/ocrPool.js";
 
 import express from "express";
 
@@ -20,11 +25,28 @@ app.listen(PORT, () => {
   console.log(`🌐 Web server running on port ${PORT}`);
 });
 
+// ===========================
+// REACHABILITY MIDDLEWARE
+// ===========================
+// A user we marked unreachable (blocked the bot, etc.) who talks to us in
+// private has clearly come back, so put them back into distribution.
+bot.use(async (ctx, next) => {
+  if (ctx.from && ctx.chat?.type === "private" && db.getUser(ctx.from.id)?.reachable === false) {
+    try {
+      await db.markReachable(ctx.from.id);
+      logger.info(`📶 User ${ctx.from.id} is reachable again`);
+    } catch (error) {
+      logger.error("Failed to restore reachability:", error.message);
+    }
+  }
+  return next();
+});
+
 // ===========================
 // RATE LIMIT MIDDLEWARE
 // ===========================
 bot.use((ctx, next) => {
-  if (ctx.from && !checkRateLimit(ctx.from.id)) {
+  if (ctx.from && !checkRateLimit(ctx.from.id, ctx.message?.media_group_id)) {
     return ctx.reply("⏰ Whoa, slow down fam. Give it a minute.");
   }
   return next();
@@ -47,41 +69,62 @@ async function start() {
     const stats = db.getStats();
     console.log(`✅ Database loaded: ${stats.totalUsers} verified users`);
     console.log(`🔗 Total matches made: ${stats.totalMatches}`);
+
+    const sessions = await restoreSessions();
+    console.log(`✅ Restored ${sessions} onboarding session(s)`);
   } catch (error) {
     logger.error("❌ Failed to load database:", error.message);
     process.exit(1);
   }
 
+  // Finish any distribution a previous process was killed in the middle of
+  distributionRunner.resumeInterrupted(bot)
+    .then(count => count && console.log(`♻️ Resumed ${count} interrupted distribution(s)`))
+    .catch(error => logger.error("❌ Failed to resume distributions:", error));
+
+  scheduler.start(bot);
+  followClaimSweeper.start();
+  enforcementSweeper.start();
+
+  // bot.launch() only settles once polling stops, so hook shutdown up first
+  const shutdown = async (signal) => {
+    console.log("\n⏹️  Shutting down gracefully...");
+    scheduler.stop();
+    followClaimSweeper.stop();
+    enforcementSweeper.stop();
+    bot.stop(signal);
+    await ocrPool.terminate();
+  };
+  process.once("SIGINT", () => shutdown("SIGINT"));
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+
   try {
-    await bot.launch();
-    console.log("✅ Bot is running and ready!");
-    console.log(`📝 Owner X account: @${OWNER_X}`);
-    console.log(`👤 Admin ID: ${ADMIN_ID}`);
-    console.log(`👥 Admin Group: ${ADMIN_GROUP_ID}`);
-    console.log(`🔇 Verbose logging: ${ENABLE_LOGS ? 'ENABLED' : 'DISABLED'}`);
-    console.log("\n📋 Admin Commands:");
-    console.log("   /distribute [count] - Send profiles to all users");
-    console.log("   /send_to @username [count] - Send to specific user");
-    console.log("   /adminstats - View statistics");
-    console.log("   /list_users - List all verified users");
-    console.log("   /reset_matches - Reset match history");
-    console.log("   /broadcast - Send announcement");
-    console.log("\n📨 Waiting for messages...\n");
-    console.log("=".repeat(60));
+    await bot.launch(() => {
+      console.log("✅ Bot is running and ready!");
+      console.log(`📝 Owner X account: @${OWNER_X}`);
+      console.log(`👑 Owner ID: ${ADMIN_ID} (+${db.listAdmins().filter(a => a.telegram_id !== ADMIN_ID).length} on the admin roster)`);
+      console.log(`👥 Admin Group: ${ADMIN_GROUP_ID}`);
+      console.log(`🔇 Verbose logging: ${ENABLE_LOGS ? 'ENABLED' : 'DISABLED'}`);
+      console.log("\n📋 Admin Commands:");
+      console.log("   /distribute [count] - Send profiles to all users");
+      console.log("   /send_to @username [count] - Send to specific user");
+      console.log("   /match_debug @username [count] - Explain match ranking");
+      console.log("   /adminstats - View statistics");
+      console.log("   /list_users - List all verified users");
+      console.log("   /reset_matches - Reset match history");
+      console.log("   /pending - Review open verification requests");
+      console.log("   /broadcast - Send announcement");
+      console.log("   /schedules - Manage scheduled distributions");
+      console.log("   /admins - Manage the admin team (owner only)");
+      console.log("   /audit - Review privileged actions (owner only)");
+      console.log("   /policy - Tune auto-verification (owner only)");
+      console.log("\n📨 Waiting for messages...\n");
+      console.log("=".repeat(60));
+    });
   } catch (error) {
     logger.error("❌ Failed to launch bot:", error.message);
     process.exit(1);
   }
-
-  process.once("SIGINT", () => {
-    console.log("\n⏹️  Shutting down gracefully...");
-    bot.stop("SIGINT");
-  });
-
-  process.once("SIGTERM", () => {
-    console.log("\n⏹️  Shutting down gracefully...");
-    bot.stop("SIGTERM");
-  });
 }
 
 start().catch((error) => {
@@ -0,0 +1,265 @@
+// Offline OCR calibration: runs the verification pipeline over a folder of
+// labelled screenshots and reports how well auto-verify does, so layout band
+// changes can be judged on data instead of one phone.
+//
+//   npm run calibrate -- <folder> [--owner handle] [--policy file.json] [--sweep band.edge=values]... [--no-cache]
+//
+// <folder>/labels.json says what a human decided about each file:
+//   { "pixel7_dark.jpg": { "verify": true, "followState": "following" } }
+//   verify      - should this be auto-verified (the owner's profile or a list proving the follow)
+//   followState - what the button really says: following, not_following or unknown
+//   claimed     - optional: the X handle the user gave, needed to score list screenshots
+//
+// The decision is the bot's: same layout detection and the same auto-verify
+// policy. --policy reads the thresholds from a JSON file with the stored
+// policy's fields (e.g. { "min_layout_confidence": 90 }); without it the defaults apply.
+//
+// --sweep re-scores the cached OCR with one band edge changed, e.g.
+//   --sweep followButton.x0=0.5,0.55,0.6   or   --sweep displayName.y0=0.1:0.2:0.02
+//
+// Only OCR, layout and the policy are scored here; duplicate and tamper checks
+// need the database and the original uploads, so they count as passed.
+// OCR results are cached in <folder>/.ocr-cache.json; --no-cache redoes them.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createWorker } from "tesseract.js";
+import {
+    LAYOUT_BANDS,
+    validateScreenshot,
+    extractProfile,
+    preprocessScreenshot,
+    mapToOriginal
+} from "../src/ocr.js";
+import { DEFAULT_POLICY, evaluatePolicy } from "../src/autoVerifyPolicy.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".bmp"];
+const FOLLOW_STATES = ["following", "not_following", "unknown"];
+
+function usage(message) {
+    if (message) console.error(`❌ ${message}\n`);
+    console.error("Usage: npm run calibrate -- <folder> [--owner handle] [--policy file.json] [--sweep band.edge=values]... [--no-cache]");
+    console.error(`Bands: ${Object.entries(LAYOUT_BANDS).map(([name, band]) => `${name}.{${Object.keys(band).join(",")}}`).join(" ")}`);
+    process.exit(1);
+}
+
+function parseSweep(spec) {
+    const match = spec.match(/^(\w+)\.(\w+)=(.+)$/);
+    if (!match) usage(`Bad --sweep "${spec}"`);
+    const [, band, edge, values] = match;
+    if (LAYOUT_BANDS[band]?.[edge] === undefined) usage(`Unknown band edge ${band}.${edge}`);
+
+    let list;
+    if (values.includes(":")) {
+        const [from, to, step] = values.split(":").map(Number);
+        if (!(step > 0) || isNaN(from) || isNaN(to)) usage(`Bad range "${values}" (from:to:step)`);
+        list = [];
+        for (let v = from; v <= to + step / 1000; v += step) list.push(Math.round(v * 1000) / 1000);
+    } else {
+        list = values.split(",").map(Number);
+        if (list.some(isNaN)) usage(`Bad values "${values}"`);
+    }
+    return { band, edge, values: list };
+}
+
+function parseArgs(argv) {
+    const options = { folder: null, owner: process.env.OWNER_X || null, policy: DEFAULT_POLICY, sweeps: [], cache: true };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--owner") options.owner = argv[++i];
+        else if (arg === "--policy") options.policy = loadPolicy(argv[++i]);
+        else if (arg === "--sweep") options.sweeps.push(parseSweep(argv[++i] || ""));
+        else if (arg === "--no-cache") options.cache = false;
+        else if (arg.startsWith("--")) usage(`Unknown option ${arg}`);
+        else options.folder = arg;
+    }
+    if (!options.folder) usage();
+    options.owner = options.owner?.replace(/^@/, "").toLowerCase() || null;
+    return options;
+}
+
+function loadPolicy(file) {
+    if (!file || !fs.existsSync(file)) usage(`No policy file ${file || ""}`);
+    const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+    const unknown = Object.keys(stored).filter(key => !(key in DEFAULT_POLICY));
+    if (unknown.length) console.log(`⚠️ Ignoring unknown policy field(s): ${unknown.join(", ")}`);
+    return { ...DEFAULT_POLICY, ...stored };
+}
+
+function loadLabels(folder) {
+    const file = path.join(folder, "labels.json");
+    if (!fs.existsSync(file)) usage(`No labels.json in ${folder}`);
+    const labels = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [name, label] of Object.entries(labels)) {
+        if (label.followState && !FOLLOW_STATES.includes(label.followState)) {
+            usage(`${name}: followState must be one of ${FOLLOW_STATES.join(", ")}`);
+        }
+    }
+    return labels;
+}
+
+// Same steps as the bot: preprocess, recognize, map boxes back to the original
+async function runOcr(folder, files, useCache) {
+    const cacheFile = path.join(folder, ".ocr-cache.json");
+    const cache = useCache && fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, "utf8")) : {};
+    const results = {};
+    let worker = null;
+
+    try {
+        for (const [i, name] of files.entries()) {
+            const stat = fs.statSync(path.join(folder, name));
+            const key = `${name}:${stat.size}:${Math.round(stat.mtimeMs)}`;
+            if (cache[key]) {
+                results[name] = cache[key];
+                continue;
+            }
+
+            if (!worker) {
+                worker = await createWorker("eng", 1, {
+                    langPath: path.resolve(__dirname, "../"),
+                    gzip: false,
+                    cachePath: path.join(__dirname, "../.tesseract_cache")
+                });
+            }
+
+            process.stdout.write(`🔍 OCR ${i + 1}/${files.length} ${name}\n`);
+            const image = await preprocessScreenshot(fs.readFileSync(path.join(folder, name)));
+            const ret = await worker.recognize(image.buffer);
+            mapToOriginal(ret.data, image.transform);
+
+            // Just what validation reads; the raw result is circular
+            results[name] = cache[key] = {
+                width: image.width,
+                height: image.height,
+                confidence: ret.data.confidence,
+                words: ret.data.words.map(w => ({ text: w.text, confidence: w.confidence, bbox: w.bbox }))
+            };
+        }
+    } finally {
+        if (worker) await worker.terminate();
+        if (useCache) fs.writeFileSync(cacheFile, JSON.stringify(cache));
+    }
+    return results;
+}
+
+function evaluate(ocr, labels, bands, owner, policy) {
+    const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    const mistakes = [];
+    const elements = Object.fromEntries(Object.keys(LAYOUT_BANDS).map(key => [key, 0]));
+    let profiles = 0;
+    const confusion = Object.fromEntries(FOLLOW_STATES.map(s => [s, Object.fromEntries(FOLLOW_STATES.map(p => [p, 0]))]));
+
+    for (const [name, data] of Object.entries(ocr)) {
+        const label = labels[name];
+        const validation = validateScreenshot(data, data.width, data.height, { claimed: label.claimed, owner }, bands);
+        const profile = extractProfile(data, data, bands);
+        const handle = ((validation.layout === "profile" ? profile.handle?.value : validation.handle) || "").toLowerCase() || null;
+
+        // As in the bot, but the mode doesn't matter: would this be auto-verified?
+        const decision = evaluatePolicy(policy, {
+            validation,
+            ocrConfidence: data.confidence,
+            hasOwner: !owner || handle === owner,
+            isDuplicate: false,
+            looksEdited: false
+        });
+        const predicted = decision.wouldAutoVerify;
+        const expected = !!label.verify;
+        if (predicted && expected) counts.tp++;
+        else if (predicted) { counts.fp++; mistakes.push(`FP ${name} (@${handle || "?"}, ${validation.reason})`); }
+        else if (expected) {
+            counts.fn++;
+            mistakes.push(`FN ${name} (${[validation.reason, validation.followState, `@${handle || "?"}`, ...decision.failed].join(", ")})`);
+        }
+        else counts.tn++;
+
+        const expectedState = label.followState || "unknown";
+        confusion[expectedState][validation.followState]++;
+
+        // Element detection only means something on real profile screenshots
+        if (expectedState !== "unknown" && validation.layout === "profile") {
+            profiles++;
+            for (const key of Object.keys(elements)) {
+                if (validation.elements?.[key]) elements[key]++;
+            }
+        }
+    }
+
+    const precision = counts.tp + counts.fp ? counts.tp / (counts.tp + counts.fp) : null;
+    const recall = counts.tp + counts.fn ? counts.tp / (counts.tp + counts.fn) : null;
+    const f1 = precision && recall ? 2 * precision * recall / (precision + recall) : null;
+    return { counts, precision, recall, f1, elements, profiles, confusion, mistakes };
+}
+
+const pct = (value) => value === null ? "—" : `${(value * 100).toFixed(1)}%`;
+
+function printReport(result, total) {
+    const { counts } = result;
+    console.log(`\n📊 Auto-verify over ${total} screenshot(s)`);
+    console.log(`   Precision ${pct(result.precision)}   Recall ${pct(result.recall)}   F1 ${pct(result.f1)}`);
+    console.log(`   TP ${counts.tp}  FP ${counts.fp}  FN ${counts.fn}  TN ${counts.tn}`);
+
+    console.log(`\n🧩 Element detection (${result.profiles} profile screenshot(s))`);
+    for (const [key, found] of Object.entries(result.elements)) {
+        console.log(`   ${key.padEnd(14)} ${pct(result.profiles ? found / result.profiles : null).padStart(7)}  (${found})`);
+    }
+
+    console.log(`\n🔀 followState (rows: label, columns: detected)`);
+    console.log(`   ${"".padEnd(14)}${FOLLOW_STATES.map(s => s.padStart(14)).join("")}`);
+    for (const expected of FOLLOW_STATES) {
+        console.log(`   ${expected.padEnd(14)}${FOLLOW_STATES.map(s => String(result.confusion[expected][s]).padStart(14)).join("")}`);
+    }
+
+    if (result.mistakes.length) {
+        console.log(`\n❗ Mistakes`);
+        for (const line of result.mistakes) console.log(`   ${line}`);
+    }
+}
+
+function printSweep(sweep, ocr, labels, owner, policy) {
+    const current = LAYOUT_BANDS[sweep.band][sweep.edge];
+    console.log(`\n🎚 Sweep ${sweep.band}.${sweep.edge} (now ${current})`);
+    console.log(`   ${"value".padEnd(8)}${["precision", "recall", "F1"].map(h => h.padStart(11)).join("")}   TP/FP/FN`);
+    for (const value of sweep.values) {
+        const bands = structuredClone(LAYOUT_BANDS);
+        bands[sweep.band][sweep.edge] = value;
+        const r = evaluate(ocr, labels, bands, owner, policy);
+        const marker = value === current ? " *" : "";
+        console.log(
+            `   ${String(value).padEnd(8)}${[r.precision, r.recall, r.f1].map(v => pct(v).padStart(11)).join("")}` +
+            `   ${r.counts.tp}/${r.counts.fp}/${r.counts.fn}${marker}`
+        );
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const labels = loadLabels(options.folder);
+
+    const files = fs.readdirSync(options.folder)
+        .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort();
+    const unlabelled = files.filter(name => !labels[name]);
+    if (unlabelled.length) console.log(`⚠️ Skipping ${unlabelled.length} unlabelled file(s): ${unlabelled.join(", ")}`);
+    const labelled = files.filter(name => labels[name]);
+    if (labelled.length === 0) usage("No labelled screenshots to score");
+
+    if (!options.owner) console.log("⚠️ No --owner (or OWNER_X): the exact handle check is skipped");
+
+    const { policy } = options;
+    console.log(
+        `📐 Policy: layout ≥${policy.min_layout_confidence}%, list ≥${policy.min_list_confidence}%, ` +
+        `OCR ≥${policy.min_ocr_confidence}%, required: ${policy.required_elements.join(", ") || "none"}`
+    );
+
+    const ocr = await runOcr(options.folder, labelled, options.cache);
+    printReport(evaluate(ocr, labels, LAYOUT_BANDS, options.owner, options.policy), labelled.length);
+    for (const sweep of options.sweeps) printSweep(sweep, ocr, labels, options.owner, options.policy);
+}
+
+main().catch(error => {
+    console.error("❌ Calibration failed:", error);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+import { db, ADMIN_ROLES } from "./database.js";
+
+export const PERMISSIONS = ['verify', 'ban', 'distribute', 'broadcast', 'reset'];
+
+// What each role may do. Managing the roster itself is owner-only.
+export const ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    moderator: ['verify', 'ban', 'distribute', 'broadcast'],
+    reviewer: ['verify']
+};
+
+export const ROLE_LABELS = {
+    owner: '👑 Owner',
+    moderator: '🛡 Moderator',
+    reviewer: '🔍 Reviewer'
+};
+
+export { ADMIN_ROLES };
+
+export function getRole(userId) {
+    return db.getAdminRole(userId);
+}
+
+export function isAdmin(userId) {
+    return !!getRole(userId);
+}
+
+export function isOwner(userId) {
+    return getRole(userId) === 'owner';
+}
+
+/**
+ * Whether a roster member may perform an action.
+ * @param {number} userId
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export function can(userId, permission) {
+    const role = getRole(userId);
+    return !!role && ROLE_PERMISSIONS[role].includes(permission);
+}
@@ -0,0 +1,96 @@
+import { db } from "./database.js";
+import { escapeHtml, logger } from "./utils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Appends a privileged operation to the audit log. Never throws: a failed
+ * audit write is logged but doesn't undo or block the operation itself.
+ * @param {number} actorId - Admin who did it
+ * @param {string} action - e.g. 'ban', 'verify', 'broadcast'
+ * @param {object} details - { target: number|null, params: object, result: string }
+ */
+export async function audit(actorId, action, { target = null, params = {}, result = 'ok' } = {}) {
+    try {
+        await db.appendAuditLog({ actor_id: actorId, action, target_id: target, params, result });
+    } catch (error) {
+        logger.error(`Audit write failed (${action} by ${actorId}):`, error.message);
+    }
+}
+
+function parseDate(value, name) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`${name} must be YYYY-MM-DD`);
+    const date = new Date(`${value}T00:00:00Z`);
+    if (isNaN(date.getTime())) throw new Error(`${name} must be YYYY-MM-DD`);
+    return date;
+}
+
+/**
+ * Parses /audit arguments: [@user|id] [action:name] [since:YYYY-MM-DD] [until:YYYY-MM-DD] [export]
+ * @param {string[]} args
+ * @returns {object} - { filter: { userId, action, since, until }, exportCsv }
+ */
+export function parseAuditArgs(args) {
+    const filter = {};
+    let exportCsv = false;
+
+    for (const arg of args) {
+        const [key, ...rest] = arg.split(":");
+        const value = rest.join(":");
+
+        if (arg.toLowerCase() === "export") {
+            exportCsv = true;
+        } else if (key === "action" && value) {
+            filter.action = value.toLowerCase();
+        } else if (key === "since" && value) {
+            filter.since = parseDate(value, "since");
+        } else if (key === "until" && value) {
+            // Inclusive: until:2024-05-01 covers the whole of that day
+            filter.until = new Date(parseDate(value, "until").getTime() + DAY_MS);
+        } else if (/^\d+$/.test(arg)) {
+            filter.userId = parseInt(arg);
+        } else if (arg.startsWith("@")) {
+            const handle = arg.slice(1).toLowerCase();
+            const user = Object.values(db.users).find(u => u.x_username?.toLowerCase() === handle);
+            if (!user) throw new Error(`No user @${handle}`);
+            filter.userId = user.telegram_id;
+        } else {
+            throw new Error(`Don't understand "${arg}"`);
+        }
+    }
+
+    return { filter, exportCsv };
+}
+
+function formatParams(params) {
+    return Object.entries(params || {})
+        .map(([key, value]) => `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`)
+        .join(" ");
+}
+
+export function formatAuditEntry(entry) {
+    const target = entry.target_id ? ` → <code>${entry.target_id}</code>` : "";
+    const params = formatParams(entry.params);
+    return `🕒 ${new Date(entry.at).toISOString().slice(0, 16).replace("T", " ")} ` +
+        `<b>${escapeHtml(entry.action)}</b> by <code>${entry.actor_id}</code>${target}` +
+        (entry.result !== "ok" ? ` ❗ ${escapeHtml(entry.result)}` : "") +
+        (params ? `\n   <i>${escapeHtml(params)}</i>` : "");
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function auditToCsv(entries) {
+    const rows = entries.map(e => [
+        new Date(e.at).toISOString(),
+        e.actor_id,
+        e.action,
+        e.target_id,
+        JSON.stringify(e.params || {}),
+        e.result
+    ].map(csvCell).join(","));
+
+    return ["at,actor_id,action,target_id,params,result", ...rows].join("\n");
+}
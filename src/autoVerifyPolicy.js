@@ -0,0 +1,115 @@
+import { LAYOUT_BANDS } from "./ocr.js";
+
+// No config or database imports: scripts/calibrateOcr.js runs this offline
+
+export const LAYOUT_ELEMENTS = Object.keys(LAYOUT_BANDS);
+
+// Used until an owner changes something; the stored policy's schema defaults come from here
+export const DEFAULT_POLICY = {
+    enabled: true,
+    shadow_mode: false,
+    min_layout_confidence: 85, // profile screenshots
+    min_list_confidence: 75, // Following/Followers list screenshots
+    min_ocr_confidence: 0,
+    required_elements: [] // keys of LAYOUT_BANDS
+};
+
+const parseSwitch = (value) => {
+    if (/^(on|true|yes|1)$/i.test(value)) return true;
+    if (/^(off|false|no|0)$/i.test(value)) return false;
+    throw new Error("Use on or off");
+};
+
+const parsePercent = (value) => {
+    const number = Number(value);
+    if (!/^\d+(\.\d+)?$/.test(value) || number > 100) throw new Error("Use a number from 0 to 100");
+    return number;
+};
+
+const parseElements = (value) => {
+    if (/^none$/i.test(value)) return [];
+    const elements = value.split(",").map(e => e.trim()).filter(Boolean);
+    const unknown = elements.filter(e => !LAYOUT_ELEMENTS.includes(e));
+    if (unknown.length) throw new Error(`Unknown element(s): ${unknown.join(", ")}. Pick from ${LAYOUT_ELEMENTS.join(", ")}`);
+    return [...new Set(elements)];
+};
+
+// What owners can change with /policy <name> <value>
+export const POLICY_SETTINGS = {
+    enabled: { field: "enabled", parse: parseSwitch, help: "on|off" },
+    shadow: { field: "shadow_mode", parse: parseSwitch, help: "on|off" },
+    min_layout: { field: "min_layout_confidence", parse: parsePercent, help: "0-100" },
+    min_list: { field: "min_list_confidence", parse: parsePercent, help: "0-100" },
+    min_ocr: { field: "min_ocr_confidence", parse: parsePercent, help: "0-100" },
+    require: { field: "required_elements", parse: parseElements, help: `${LAYOUT_ELEMENTS.join(",")}|none` }
+};
+
+/**
+ * Turns "/policy min_ocr 70" arguments into a policy update.
+ * @param {string} name - Key of POLICY_SETTINGS
+ * @param {string} value
+ * @returns {object} - { [field]: parsed value }
+ */
+export function parsePolicyUpdate(name, value) {
+    const setting = POLICY_SETTINGS[name?.toLowerCase()];
+    if (!setting) throw new Error(`Unknown setting "${name}"`);
+    if (value === undefined || value === "") throw new Error(`${name} needs a value (${setting.help})`);
+    return { [setting.field]: setting.parse(value) };
+}
+
+/**
+ * Decides whether a screenshot gets auto-verified. The fixed checks (layout,
+ * "Following", the owner's handle, duplicates, tampering, no Followers list
+ * screenshots) always apply; the
+ * policy adds the thresholds on top and says whether to act on the result.
+ * @param {object} policy - From db.getAutoVerifyPolicy()
+ * @param {object} checks - { validation, ocrConfidence, hasOwner, isDuplicate, looksEdited }
+ * @returns {object} - { mode, wouldAutoVerify, autoVerify, failed, failedSettings }
+ * failed describes the policy thresholds that weren't met, failedSettings
+ * names them (keys of POLICY_SETTINGS)
+ */
+export function evaluatePolicy(policy, { validation, ocrConfidence, hasOwner, isDuplicate, looksEdited }) {
+    const failed = [];
+    const failedSettings = [];
+    const fail = (setting, text) => {
+        failedSettings.push(setting);
+        failed.push(text);
+    };
+
+    // List screenshots score on their own scale, so they have their own threshold
+    const isProfile = validation.layout === "profile";
+    const minLayout = isProfile ? policy.min_layout_confidence : policy.min_list_confidence;
+    if ((validation.confidence || 0) < minLayout) {
+        fail(isProfile ? "min_layout" : "min_list", `Layout confidence ${validation.confidence}% < ${minLayout}%`);
+    }
+    if ((ocrConfidence || 0) < policy.min_ocr_confidence) {
+        fail("min_ocr", `OCR confidence ${Math.round(ocrConfidence || 0)}% < ${policy.min_ocr_confidence}%`);
+    }
+    // Required elements are profile page parts; list screenshots have their own checks
+    const required = isProfile ? policy.required_elements || [] : [];
+    const missing = required.filter(e => !validation.elements?.[e]);
+    if (missing.length) fail("require", `Missing ${missing.join(", ")}`);
+
+    // Anyone can screenshot someone else's row in the owner's Followers list
+    const provesOwnership = validation.layout !== "followers_list";
+    const passesChecks = validation.isValid && validation.followState === "following" && provesOwnership &&
+        hasOwner && !isDuplicate && !looksEdited;
+    const wouldAutoVerify = passesChecks && failed.length === 0;
+    const mode = !policy.enabled ? "off" : policy.shadow_mode ? "shadow" : "live";
+
+    return { mode, wouldAutoVerify, autoVerify: wouldAutoVerify && mode === "live", failed, failedSettings };
+}
+
+export function formatPolicy(policy) {
+    const mode = !policy.enabled ? "⛔ Off (everything goes to review)"
+        : policy.shadow_mode ? "🌗 Shadow (decides and records, humans still review)"
+            : "✅ Live";
+    return `🤖 <b>Auto-Verify Policy</b>\n\n` +
+        `Mode: ${mode}\n` +
+        `📐 Min layout confidence: ${policy.min_layout_confidence}%\n` +
+        `📋 Min list confidence: ${policy.min_list_confidence}%\n` +
+        `🔤 Min OCR confidence: ${policy.min_ocr_confidence}%\n` +
+        // Only ever set through parseElements, so these are LAYOUT_ELEMENTS keys and safe in HTML
+        `🧩 Required elements: ${policy.required_elements?.length ? policy.required_elements.join(", ") : "none"}\n` +
+        (policy.updated_at ? `\n<i>Last changed ${new Date(policy.updated_at).toLocaleString()} by ${policy.updated_by}</i>\n` : "");
+}
@@ -14,6 +14,75 @@ export const MAX_SKIPS_PER_DAY = 5;
 export const MAX_WARNINGS = 3;
 export const MAX_VERIFICATION_ATTEMPTS = 3;
 
+// Onboarding sessions are kept in Mongo and dropped after this long idle.
+// Sessions waiting on a manual review never expire.
+export const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || "24");
+
+// Enforcement: MAX_WARNINGS warnings = suspension; another strike after
+// BAN_AFTER_SUSPENSIONS suspensions = permanent ban.
+export const SUSPENSION_HOURS = parseFloat(process.env.SUSPENSION_HOURS || "72");
+export const BAN_AFTER_SUSPENSIONS = parseInt(process.env.BAN_AFTER_SUSPENSIONS || "1");
+export const WARNING_DECAY_DAYS = parseFloat(process.env.WARNING_DECAY_DAYS || "14");
+
+// Follow claims: "I Followed" taps waiting on the other member
+export const FOLLOW_CLAIM_REMINDER_HOURS = parseFloat(process.env.FOLLOW_CLAIM_REMINDER_HOURS || "12");
+export const FOLLOW_CLAIM_EXPIRY_HOURS = parseFloat(process.env.FOLLOW_CLAIM_EXPIRY_HOURS || "48");
+// Ask for a screenshot of the target's profile on "I Followed" and confirm it via OCR
+export const OCR_FOLLOW_VERIFICATION = process.env.OCR_FOLLOW_VERIFICATION === "true";
+export const DISPUTE_WINDOW_HOURS = parseFloat(process.env.DISPUTE_WINDOW_HOURS || "72");
+
+// How long an admin has to reply to the custom rejection note prompt
+export const REJECT_NOTE_TIMEOUT_MINUTES = parseFloat(process.env.REJECT_NOTE_TIMEOUT_MINUTES || "10");
+
+// Profile reports: a profile is hidden from distribution after this many
+// members report it, until an admin dismisses or bans
+export const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD || "3");
+
+// Verification screenshots of the same size and status bar whose perceptual
+// hashes differ by at most this many bits (of 64) count as the same image.
+// Such submissions are never auto-verified. Only the last DUPLICATE_LOOKBACK_DAYS
+// of submissions are compared.
+export const DUPLICATE_HASH_DISTANCE = parseInt(process.env.DUPLICATE_HASH_DISTANCE || "2");
+export const DUPLICATE_LOOKBACK_DAYS = parseInt(process.env.DUPLICATE_LOOKBACK_DAYS || "90");
+// OCR worker pool: parallel Tesseract workers, how many screenshots may wait
+// for one, and how long a single recognition may take before it's abandoned
+export const OCR_WORKERS = parseInt(process.env.OCR_WORKERS || "2");
+export const OCR_QUEUE_LIMIT = parseInt(process.env.OCR_QUEUE_LIMIT || "20");
+export const OCR_JOB_TIMEOUT_SECONDS = parseInt(process.env.OCR_JOB_TIMEOUT_SECONDS || "60");
+// Tamper score (0-100, see tamper.js) at which a screenshot goes to a human instead of auto-verify
+export const TAMPER_BLOCK_SCORE = parseInt(process.env.TAMPER_BLOCK_SCORE || "50");
+
+// Matching: how candidates are ranked in getUnmatchedUsers.
+// Override any weight with MATCH_WEIGHTS='{"followThrough":4}' in .env
+const DEFAULT_MATCH_WEIGHTS = {
+    followThrough: 3,   // share of received profiles they actually followed
+    reciprocity: 2,     // share of their followers they followed back
+    followsBack: 1.5,   // they already follow the requester
+    recency: 1,         // decays with time since last_active
+    warningPenalty: 1,  // subtracted per warning
+    jitter: 0.5         // randomness so the same people aren't always on top
+};
+export const MATCH_WEIGHTS = { ...DEFAULT_MATCH_WEIGHTS, ...parseJsonEnv("MATCH_WEIGHTS") };
+export const MATCH_RECENCY_HALF_LIFE_DAYS = parseFloat(process.env.MATCH_RECENCY_HALF_LIFE_DAYS || "7");
+
+// Outbound delivery queue (Telegram flood limits)
+export const DELIVERY_GLOBAL_PER_SECOND = 25;     // Telegram allows ~30/s across all chats
+export const DELIVERY_PRIVATE_CHAT_BURST = 3;     // short bursts to one user are tolerated...
+export const DELIVERY_PRIVATE_CHAT_PER_SECOND = 1; // ...but not more than ~1/s sustained
+export const DELIVERY_GROUP_CHAT_PER_MINUTE = 20;
+export const DELIVERY_MAX_CONCURRENT = 8;
+export const DELIVERY_MAX_RETRIES = 3;
+
+function parseJsonEnv(name) {
+    if (!process.env[name]) return {};
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        console.error(`⚠️ Ignoring invalid JSON in ${name}:`, error.message);
+        return {};
+    }
+}
+
 if (!BOT_TOKEN || !ADMIN_ID || !ADMIN_GROUP_ID || !OWNER_X) {
     console.error("❌ Missing required environment variables!");
     console.error("Required: BOT_TOKEN, ADMIN_ID, ADMIN_GROUP_ID, OWNER_X");
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import { MONGO_URI, ADMIN_ID } from './config.js';
+import { rankCandidates, countInboundFollows } from './matching.js';
+import { DEFAULT_POLICY } from './autoVerifyPolicy.js';
 
 // Define User Schema
 const userSchema = new mongoose.Schema({
@@ -17,7 +19,27 @@ const userSchema = new mongoose.Schema({
     skips_count: { type: Number, default: 0 },
     warnings_count: { type: Number, default: 0 },
     is_banned: { type: Boolean, default: false },
-    last_skip_reset: { type: Date, default: Date.now }
+    last_skip_reset: { type: Date, default: Date.now },
+    reachable: { type: Boolean, default: true },
+    unreachable_reason: { type: String, default: null },
+    reachable_changed_at: { type: Date, default: null },
+    false_denials: { type: Number, default: 0 },
+    is_hidden: { type: Boolean, default: false }, // pulled from distribution pending report review
+    last_warning_at: { type: Date, default: null },
+    suspended_until: { type: Date, default: null },
+    suspended_at: { type: Date, default: null },
+    suspensions_count: { type: Number, default: 0 },
+    enforcement_log: {
+        type: [{
+            _id: false,
+            action: { type: String, enum: ['warning', 'warning_removed', 'warning_decayed', 'suspended', 'unsuspended', 'banned', 'unbanned'] },
+            reason: String,
+            by: { type: Number, default: null }, // null = automatic
+            until: Date,
+            at: { type: Date, default: Date.now }
+        }],
+        default: []
+    }
 });
 
 const User = mongoose.model('User', userSchema);
@@ -32,9 +54,243 @@ matchSchema.index({ user_id: 1, matched_with: 1 }, { unique: true });
 
 const Match = mongoose.model('Match', matchSchema);
 
+// Define Distribution Schedule Schema
+const scheduleSchema = new mongoose.Schema({
+    cron: { type: String, required: true },
+    profile_count: { type: Number, required: true },
+    paused: { type: Boolean, default: false },
+    created_by: Number,
+    created_at: { type: Date, default: Date.now },
+    last_run: { type: Date, default: null },
+    next_run: { type: Date, default: null }
+});
+scheduleSchema.index({ paused: 1, next_run: 1 });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+// Define Distribution Job Schema
+const jobOutcomeSchema = new mongoose.Schema({
+    user_id: { type: Number, required: true },
+    outcome: { type: String, enum: ['sent', 'skipped', 'failed'], required: true },
+    count: { type: Number, default: 0 },
+    error: String,
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const distributionJobSchema = new mongoose.Schema({
+    profile_count: { type: Number, required: true },
+    trigger: { type: String, enum: ['command', 'dashboard', 'schedule'], default: 'command' },
+    schedule_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    requested_by: Number,
+    status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+    user_ids: { type: [Number], default: [] },
+    cursor: { type: Number, default: 0 },
+    in_flight: { type: Number, default: null },
+    outcomes: { type: [jobOutcomeSchema], default: [] },
+    sent: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    resumed_count: { type: Number, default: 0 },
+    status_chat_id: Number,
+    status_message_id: Number,
+    error: String,
+    started_at: { type: Date, default: Date.now },
+    finished_at: { type: Date, default: null }
+});
+distributionJobSchema.index({ status: 1 });
+
+const DistributionJob = mongoose.model('DistributionJob', distributionJobSchema);
+
+// Define Follow Claim Schema
+const followClaimSchema = new mongoose.Schema({
+    claimant_id: { type: Number, required: true },
+    target_id: { type: Number, required: true },
+    status: { type: String, enum: ['pending', 'confirmed', 'denied', 'expired'], default: 'pending' },
+    warning_issued: { type: Boolean, default: false },
+    awaiting_proof: { type: Boolean, default: false },
+    confirmed_by: { type: String, enum: ['target', 'screenshot', 'admin'], default: null },
+    dispute: {
+        status: { type: String, enum: ['open', 'upheld', 'overturned'] },
+        photo_file_id: String,
+        ocr: {
+            is_valid: Boolean,
+            follow_state: String,
+            handle_found: Boolean,
+            confidence: Number,
+            reason: String
+        },
+        opened_at: Date,
+        resolved_at: Date,
+        resolved_by: Number
+    },
+    created_at: { type: Date, default: Date.now },
+    reminded_at: { type: Date, default: null },
+    expires_at: { type: Date, required: true },
+    resolved_at: { type: Date, default: null }
+});
+// Only one open claim per pair, however many times "I Followed" is tapped
+followClaimSchema.index(
+    { claimant_id: 1, target_id: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+followClaimSchema.index({ status: 1, expires_at: 1 });
+followClaimSchema.index({ target_id: 1, status: 1 });
+
+const FollowClaim = mongoose.model('FollowClaim', followClaimSchema);
+
+// Define Admin Roster Schema (ADMIN_ID from .env is always an owner on top of this)
+export const ADMIN_ROLES = ['owner', 'moderator', 'reviewer'];
+
+const adminSchema = new mongoose.Schema({
+    telegram_id: { type: Number, required: true, unique: true },
+    role: { type: String, enum: ADMIN_ROLES, required: true },
+    name: { type: String, default: null },
+    added_by: { type: Number, default: null },
+    added_at: { type: Date, default: Date.now }
+});
+
+const Admin = mongoose.model('Admin', adminSchema);
+
+// Define Audit Log Schema: one entry per privileged operation, never edited
+const auditLogSchema = new mongoose.Schema({
+    actor_id: { type: Number, required: true },
+    action: { type: String, required: true },
+    target_id: { type: Number, default: null },
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    result: { type: String, default: 'ok' },
+    at: { type: Date, default: Date.now }
+}, { minimize: false });
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ actor_id: 1, at: -1 });
+auditLogSchema.index({ target_id: 1, at: -1 });
+auditLogSchema.index({ action: 1, at: -1 });
+
+// Append-only: refuse anything that would rewrite history
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function () {
+        throw new Error('AuditLog is append-only');
+    }
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// Define Verification Request Schema: one per screenshot submitted at onboarding
+const verificationRequestSchema = new mongoose.Schema({
+    user_id: { type: Number, required: true },
+    telegram_name: { type: String, default: null },
+    telegram_username: { type: String, default: null },
+    x_username: { type: String, required: true },
+    photo_file_id: { type: String, required: true },
+    photo_kind: { type: String, enum: ['photo', 'document'], default: 'photo' }, // image sent as a file
+    // Duplicate check fingerprint, see imageHash.js
+    photo_hash: { type: String, default: null }, // perceptual hash
+    photo_size: { type: String, default: null }, // "WxH" in pixels
+    photo_strip: { type: String, default: null }, // status bar thumbnail
+    // Earlier submissions by other accounts with a near-identical screenshot
+    duplicate_of: [{
+        request_id: mongoose.Schema.Types.ObjectId,
+        user_id: Number,
+        x_username: String,
+        distance: Number,
+        _id: false
+    }],
+    tamper: {
+        score: Number,
+        flags: [String] // what each suspicious check saw
+    },
+    // What the auto-verify policy made of it; see autoVerifyPolicy.js
+    policy: {
+        mode: { type: String, enum: ['live', 'shadow', 'off'] },
+        would_auto_verify: Boolean,
+        failed: [String]
+    },
+    ocr: {
+        is_valid: Boolean,
+        follow_state: String,
+        confidence: Number,
+        owner_found: Boolean,
+        handle: String,
+        language: String,
+        layout: String, // profile, following_list or followers_list
+        reason: String,
+        error: String
+    },
+    reason: { type: String, default: null }, // why it needs a human
+    state: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    rejection: {
+        code: { type: String, enum: ['wrong_account', 'not_following', 'blurry', 'edited', 'username_mismatch', 'custom'] },
+        note: String
+    },
+    reviewer_id: { type: Number, default: null }, // null + approved = auto-verified
+    review_via: { type: String, enum: ['auto', 'button', 'group_reply', 'command'], default: null },
+    review_chat_id: { type: Number, default: null },
+    review_message_id: { type: Number, default: null },
+    created_at: { type: Date, default: Date.now },
+    reviewed_at: { type: Date, default: null }
+});
+verificationRequestSchema.index({ state: 1, created_at: 1 });
+verificationRequestSchema.index({ user_id: 1, state: 1 });
+verificationRequestSchema.index({ review_chat_id: 1, review_message_id: 1 });
+verificationRequestSchema.index({ photo_size: 1, created_at: -1 });
+verificationRequestSchema.index({ 'policy.mode': 1, 'policy.would_auto_verify': 1, created_at: -1 });
+
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
+
+// Define Auto-Verify Policy Schema: a single document, edited by owners with /policy.
+// The defaults (DEFAULT_POLICY) match the behaviour before the policy existed.
+const autoVerifyPolicySchema = new mongoose.Schema({
+    _id: { type: String, default: 'auto_verify' },
+    enabled: { type: Boolean, default: DEFAULT_POLICY.enabled },
+    shadow_mode: { type: Boolean, default: DEFAULT_POLICY.shadow_mode }, // decide, record, but send everything to review
+    min_layout_confidence: { type: Number, default: DEFAULT_POLICY.min_layout_confidence }, // profile screenshots
+    min_list_confidence: { type: Number, default: DEFAULT_POLICY.min_list_confidence }, // Following/Followers list screenshots
+    min_ocr_confidence: { type: Number, default: DEFAULT_POLICY.min_ocr_confidence },
+    required_elements: { type: [String], default: () => [...DEFAULT_POLICY.required_elements] }, // keys of LAYOUT_BANDS
+    updated_by: { type: Number, default: null },
+    updated_at: { type: Date, default: null }
+});
+
+const AutoVerifyPolicy = mongoose.model('AutoVerifyPolicy', autoVerifyPolicySchema);
+
+// Define Onboarding Session Schema
+const sessionSchema = new mongoose.Schema({
+    user_id: { type: Number, required: true, unique: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // null = kept until someone acts on it (e.g. waiting for manual review)
+    expires_at: { type: Date, default: null },
+    updated_at: { type: Date, default: Date.now }
+}, { minimize: false });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// Define Profile Report Schema
+export const REPORT_REASONS = ['spam', 'nsfw', 'impersonation', 'dead'];
+
+const profileReportSchema = new mongoose.Schema({
+    reporter_id: { type: Number, required: true },
+    target_id: { type: Number, required: true },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    status: { type: String, enum: ['open', 'dismissed', 'actioned'], default: 'open' },
+    created_at: { type: Date, default: Date.now },
+    resolved_at: { type: Date, default: null },
+    resolved_by: { type: Number, default: null }
+});
+// One open report per reporter per profile, so the count means independent reporters
+profileReportSchema.index(
+    { reporter_id: 1, target_id: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+profileReportSchema.index({ status: 1, target_id: 1 });
+
+const ProfileReport = mongoose.model('ProfileReport', profileReportSchema);
+
 export class Database {
     constructor() {
         this.users = {};
+        this.admins = {};
+        this.autoVerifyPolicy = null; // null until an owner edits it: defaults apply
     }
 
     async load() {
@@ -55,6 +311,15 @@ export class Database {
             });
             console.log(`✅ Loaded ${allUsers.length} users into memory.`);
 
+            const allAdmins = await Admin.find({}).lean();
+            this.admins = {};
+            allAdmins.forEach(a => {
+                this.admins[a.telegram_id] = a;
+            });
+            console.log(`✅ Loaded ${allAdmins.length} admins from the roster.`);
+
+            this.autoVerifyPolicy = await AutoVerifyPolicy.findById('auto_verify').lean();
+
         } catch (error) {
             console.error("❌ MongoDB Connection Error:", error);
             process.exit(1);
@@ -121,13 +386,39 @@ export class Database {
     }
 
     getVerifiedUsers() {
-        // Exclude banned users AND the Admin (so they don't get profiles)
-        return Object.values(this.users).filter(u => u.verified && !u.is_banned && u.telegram_id !== ADMIN_ID);
+        // Exclude banned users AND admins (so they don't get profiles)
+        return Object.values(this.users).filter(u => u.verified && !u.is_banned && !this.getAdminRole(u.telegram_id));
+    }
+
+    // Members we can actually deliver to: excludes anyone who blocked the bot,
+    // deleted their account or is serving a suspension, so they are neither
+    // sent to nor shown to others.
+    getDistributableUsers() {
+        return this.getVerifiedUsers().filter(u => this.isDistributable(u));
+    }
+
+    isDistributable(user) {
+        if (!user || !user.verified || user.is_banned || user.is_hidden) return false;
+        if (user.reachable === false) return false;
+        if (user.suspended_until && new Date(user.suspended_until).getTime() > Date.now()) return false;
+        return true;
     }
 
     async getUnmatchedUsers(userId, limit = 10) {
-        // Get all verified users (already excludes Admin)
-        const candidates = this.getVerifiedUsers().filter(u => u.telegram_id !== userId);
+        const ranked = await this.rankUnmatchedUsers(userId);
+        return ranked.slice(0, limit).map(entry => entry.user);
+    }
+
+    // Same ranking as getUnmatchedUsers, but keeps the score breakdown
+    // so admins can see why each candidate was picked.
+    async explainMatches(userId, limit = 10) {
+        const ranked = await this.rankUnmatchedUsers(userId);
+        return ranked.slice(0, limit);
+    }
+
+    async rankUnmatchedUsers(userId) {
+        // Get all reachable verified users (already excludes Admin)
+        const candidates = this.getDistributableUsers().filter(u => u.telegram_id !== userId);
 
         // Optimization: Get all matches for this user in one query
         const matches = await Match.find({ user_id: userId }).select('matched_with');
@@ -135,8 +426,10 @@ export class Database {
 
         const unmatched = candidates.filter(u => !matchedIds.has(u.telegram_id));
 
-        // Shuffle and slice
-        return unmatched.sort(() => 0.5 - Math.random()).slice(0, limit);
+        return rankCandidates(unmatched, {
+            requesterId: userId,
+            inbound: countInboundFollows(Object.values(this.users))
+        });
     }
 
     getStats() {
@@ -150,12 +443,16 @@ export class Database {
         const activeWeek = users.filter(u => new Date(u.last_active).getTime() > oneWeekAgo).length;
 
         const totalMatches = users.reduce((acc, u) => acc + (u.profiles_sent || 0), 0);
+        const unreachable = verified.filter(u => u.reachable === false).length;
+        const hidden = verified.filter(u => u.is_hidden).length;
 
         return {
             totalUsers: verified.length,
             activeToday,
             activeWeek,
-            totalMatches
+            totalMatches,
+            unreachable,
+            hidden
         };
     }
 
@@ -213,9 +510,52 @@ export class Database {
 
     async addWarning(telegramId) {
         if (this.users[telegramId]) {
-            await User.updateOne({ telegram_id: telegramId }, { $inc: { warnings_count: 1 } });
+            const now = new Date();
+            await User.updateOne({ telegram_id: telegramId }, { $inc: { warnings_count: 1 }, last_warning_at: now });
             this.users[telegramId].warnings_count = (this.users[telegramId].warnings_count || 0) + 1;
+            this.users[telegramId].last_warning_at = now;
+            return this.users[telegramId].warnings_count;
+        }
+        return 0;
+    }
+
+    async removeWarning(telegramId) {
+        if (this.users[telegramId] && (this.users[telegramId].warnings_count || 0) > 0) {
+            await User.updateOne(
+                { telegram_id: telegramId, warnings_count: { $gt: 0 } },
+                { $inc: { warnings_count: -1 } }
+            );
+            this.users[telegramId].warnings_count -= 1;
+        }
+        return this.users[telegramId]?.warnings_count || 0;
+    }
+
+    // Sets enforcement fields and appends to the user's enforcement log in one write
+    async recordEnforcement(telegramId, entry, updates = {}) {
+        const user = this.users[telegramId];
+        if (!user) return null;
+
+        const logEntry = { by: null, ...entry, at: new Date() };
+        await User.updateOne(
+            { telegram_id: telegramId },
+            { ...updates, $push: { enforcement_log: logEntry } }
+        );
+        Object.assign(user, updates);
+        user.enforcement_log = [...(user.enforcement_log || []), logEntry];
+        return user;
+    }
+
+    getSuspendedUsers() {
+        return Object.values(this.users).filter(u => u.suspended_until);
+    }
+
+    async flagFalseDenial(telegramId) {
+        if (this.users[telegramId]) {
+            await User.updateOne({ telegram_id: telegramId }, { $inc: { false_denials: 1 } });
+            this.users[telegramId].false_denials = (this.users[telegramId].false_denials || 0) + 1;
+            return this.users[telegramId].false_denials;
         }
+        return 0;
     }
 
     async banUser(telegramId) {
@@ -232,6 +572,32 @@ export class Database {
         }
     }
 
+    async markUnreachable(telegramId, reason) {
+        const user = this.users[telegramId];
+        if (!user || (user.reachable === false && user.unreachable_reason === reason)) return false;
+
+        const now = new Date();
+        await User.updateOne(
+            { telegram_id: telegramId },
+            { reachable: false, unreachable_reason: reason, reachable_changed_at: now }
+        );
+        Object.assign(user, { reachable: false, unreachable_reason: reason, reachable_changed_at: now });
+        return true;
+    }
+
+    async markReachable(telegramId) {
+        const user = this.users[telegramId];
+        if (!user || user.reachable !== false) return false;
+
+        const now = new Date();
+        await User.updateOne(
+            { telegram_id: telegramId },
+            { reachable: true, unreachable_reason: null, reachable_changed_at: now }
+        );
+        Object.assign(user, { reachable: true, unreachable_reason: null, reachable_changed_at: now });
+        return true;
+    }
+
     async addVerifiedFollow(userId, followedId) {
         if (this.users[userId]) {
             if (!this.users[userId].verified_follows) this.users[userId].verified_follows = [];
@@ -275,6 +641,447 @@ export class Database {
         }
     }
 
+    // ===========================
+    // SCHEDULE METHODS
+    // ===========================
+    async createSchedule({ cron, profileCount, createdBy, nextRun }) {
+        const schedule = await Schedule.create({
+            cron,
+            profile_count: profileCount,
+            created_by: createdBy,
+            next_run: nextRun
+        });
+        return schedule.toObject();
+    }
+
+    async listSchedules() {
+        return Schedule.find({}).sort({ created_at: 1 }).lean();
+    }
+
+    async getSchedule(scheduleId) {
+        if (!mongoose.isValidObjectId(scheduleId)) return null;
+        return Schedule.findById(scheduleId).lean();
+    }
+
+    // Admins type short IDs, so match on the hex prefix shown in /schedules
+    async findScheduleByPrefix(prefix) {
+        const needle = String(prefix || '').toLowerCase();
+        if (needle.length < 4) return null;
+        const schedules = await this.listSchedules();
+        const found = schedules.filter(s => s._id.toString().startsWith(needle));
+        return found.length === 1 ? found[0] : null;
+    }
+
+    async updateSchedule(scheduleId, updates) {
+        return Schedule.findByIdAndUpdate(scheduleId, updates, { new: true }).lean();
+    }
+
+    async deleteSchedule(scheduleId) {
+        const result = await Schedule.deleteOne({ _id: scheduleId });
+        return result.deletedCount > 0;
+    }
+
+    async getDueSchedules(now = new Date()) {
+        return Schedule.find({ paused: false, next_run: { $ne: null, $lte: now } }).lean();
+    }
+
+    // Moves next_run forward only if nobody else already did, so a schedule
+    // fires once even if two instances tick at the same time.
+    async claimScheduleRun(schedule, nextRun, now = new Date()) {
+        const claimed = await Schedule.findOneAndUpdate(
+            { _id: schedule._id, next_run: schedule.next_run, paused: false },
+            { last_run: now, next_run: nextRun },
+            { new: true }
+        ).lean();
+        return claimed;
+    }
+
+    // ===========================
+    // DISTRIBUTION JOB METHODS
+    // ===========================
+    async createDistributionJob({ profileCount, trigger, scheduleId, requestedBy, userIds, statusChatId, statusMessageId }) {
+        const job = await DistributionJob.create({
+            profile_count: profileCount,
+            trigger,
+            schedule_id: scheduleId || null,
+            requested_by: requestedBy,
+            user_ids: userIds,
+            status_chat_id: statusChatId,
+            status_message_id: statusMessageId
+        });
+        return job.toObject();
+    }
+
+    async getDistributionJob(jobId) {
+        return DistributionJob.findById(jobId).lean();
+    }
+
+    async getRunningDistributionJobs() {
+        return DistributionJob.find({ status: 'running' }).sort({ started_at: 1 }).lean();
+    }
+
+    async updateDistributionJob(jobId, updates) {
+        return DistributionJob.findByIdAndUpdate(jobId, updates, { new: true }).lean();
+    }
+
+    // Marked before sending so a restart knows which user may have been half-served
+    async markJobInFlight(jobId, userId) {
+        await DistributionJob.updateOne({ _id: jobId }, { in_flight: userId });
+    }
+
+    // Outcome, counter and cursor move together so the job never counts a user twice
+    async recordJobOutcome(jobId, { userId, outcome, count = 0, error }) {
+        return DistributionJob.findOneAndUpdate(
+            { _id: jobId, 'outcomes.user_id': { $ne: userId } },
+            {
+                $push: { outcomes: { user_id: userId, outcome, count, error } },
+                $inc: { [outcome]: 1, cursor: 1 },
+                in_flight: null
+            },
+            { new: true }
+        ).lean();
+    }
+
+    async finishDistributionJob(jobId, status, error) {
+        return DistributionJob.findByIdAndUpdate(
+            jobId,
+            { status, error, in_flight: null, finished_at: new Date() },
+            { new: true }
+        ).lean();
+    }
+
+    // ===========================
+    // FOLLOW CLAIM METHODS
+    // ===========================
+    // Returns { claim, created }; an existing pending claim is reused
+    async openFollowClaim(claimantId, targetId, expiresAt, awaitingProof = false) {
+        const existing = await FollowClaim.findOne({ claimant_id: claimantId, target_id: targetId, status: 'pending' }).lean();
+        if (existing) return { claim: existing, created: false };
+
+        try {
+            const claim = await FollowClaim.create({
+                claimant_id: claimantId,
+                target_id: targetId,
+                expires_at: expiresAt,
+                awaiting_proof: awaitingProof
+            });
+            return { claim: claim.toObject(), created: true };
+        } catch (e) {
+            // Lost a race with a double tap: the other request created it
+            if (e.code !== 11000) throw e;
+            const claim = await FollowClaim.findOne({ claimant_id: claimantId, target_id: targetId, status: 'pending' }).lean();
+            return { claim, created: false };
+        }
+    }
+
+    async getFollowClaim(claimId) {
+        if (!mongoose.isValidObjectId(claimId)) return null;
+        return FollowClaim.findById(claimId).lean();
+    }
+
+    async getLatestFollowClaim(claimantId, targetId) {
+        return FollowClaim.findOne({ claimant_id: claimantId, target_id: targetId }).sort({ created_at: -1 }).lean();
+    }
+
+    // Only the first resolution wins, which makes confirm/deny safe to tap twice
+    async resolveFollowClaim(claimId, status, updates = {}) {
+        return FollowClaim.findOneAndUpdate(
+            { _id: claimId, status: 'pending' },
+            { ...updates, status, resolved_at: new Date() },
+            { new: true }
+        ).lean();
+    }
+
+    async updateFollowClaim(claimId, updates) {
+        return FollowClaim.findByIdAndUpdate(claimId, updates, { new: true }).lean();
+    }
+
+    // A denied claim can be disputed once, by its claimant
+    async openClaimDispute(claimId, claimantId, { photoFileId, ocr }) {
+        return FollowClaim.findOneAndUpdate(
+            { _id: claimId, claimant_id: claimantId, status: 'denied', 'dispute.status': { $exists: false } },
+            {
+                dispute: {
+                    status: 'open',
+                    photo_file_id: photoFileId,
+                    ocr,
+                    opened_at: new Date()
+                }
+            },
+            { new: true }
+        ).lean();
+    }
+
+    // Overturning also flips the claim to confirmed, since the follow was real
+    async resolveClaimDispute(claimId, outcome, adminId) {
+        const updates = {
+            'dispute.status': outcome,
+            'dispute.resolved_at': new Date(),
+            'dispute.resolved_by': adminId
+        };
+        if (outcome === 'overturned') {
+            updates.status = 'confirmed';
+            updates.confirmed_by = 'admin';
+        }
+
+        return FollowClaim.findOneAndUpdate(
+            { _id: claimId, 'dispute.status': 'open' },
+            updates,
+            { new: true }
+        ).lean();
+    }
+
+    async getPendingClaimsBy(claimantId) {
+        return FollowClaim.find({ claimant_id: claimantId, status: 'pending' }).sort({ created_at: -1 }).lean();
+    }
+
+    async getPendingClaimsFor(targetId) {
+        // Claims still waiting on the claimant's screenshot haven't reached the target yet
+        return FollowClaim.find({ target_id: targetId, status: 'pending', awaiting_proof: { $ne: true } }).sort({ created_at: -1 }).lean();
+    }
+
+    async getClaimsNeedingReminder(olderThan) {
+        // Claims still waiting on the claimant's screenshot haven't reached the target yet
+        return FollowClaim.find({
+            status: 'pending',
+            awaiting_proof: { $ne: true },
+            reminded_at: null,
+            created_at: { $lte: olderThan }
+        }).lean();
+    }
+
+    async getExpiredClaims(now = new Date()) {
+        return FollowClaim.find({ status: 'pending', expires_at: { $lte: now } }).lean();
+    }
+
+    // ===========================
+    // ADMIN ROSTER
+    // ===========================
+    getAdminRole(telegramId) {
+        if (telegramId === ADMIN_ID) return 'owner';
+        return this.admins[telegramId]?.role || null;
+    }
+
+    listAdmins() {
+        const roster = Object.values(this.admins);
+        if (!this.admins[ADMIN_ID]) {
+            roster.unshift({ telegram_id: ADMIN_ID, role: 'owner', name: null, added_by: null, added_at: null });
+        }
+        return roster;
+    }
+
+    async setAdmin(telegramId, role, name, addedBy) {
+        const admin = await Admin.findOneAndUpdate(
+            { telegram_id: telegramId },
+            { role, name, added_by: addedBy, added_at: new Date() },
+            { upsert: true, new: true }
+        ).lean();
+        this.admins[telegramId] = admin;
+        return admin;
+    }
+
+    async removeAdmin(telegramId) {
+        const result = await Admin.deleteOne({ telegram_id: telegramId });
+        delete this.admins[telegramId];
+        return result.deletedCount > 0;
+    }
+
+    // ===========================
+    // VERIFICATION REQUESTS
+    // ===========================
+    async createVerificationRequest(data) {
+        const request = await VerificationRequest.create(data);
+        return request.toObject();
+    }
+
+    async getVerificationRequest(requestId) {
+        if (!mongoose.isValidObjectId(requestId)) return null;
+        return VerificationRequest.findById(requestId).lean();
+    }
+
+    async getOpenVerificationRequestFor(userId) {
+        return VerificationRequest.findOne({ user_id: userId, state: 'pending' }).sort({ created_at: -1 }).lean();
+    }
+
+    async findOpenVerificationRequestByHandle(xUsername) {
+        return VerificationRequest.findOne({ x_username: xUsername, state: 'pending' })
+            .collation({ locale: 'en', strength: 2 }) // case-insensitive
+            .sort({ created_at: -1 })
+            .lean();
+    }
+
+    async findVerificationRequestByMessage(chatId, messageId) {
+        return VerificationRequest.findOne({ review_chat_id: chatId, review_message_id: messageId }).lean();
+    }
+
+    async setVerificationReviewMessage(requestId, chatId, messageId) {
+        await VerificationRequest.updateOne(
+            { _id: requestId },
+            { review_chat_id: chatId, review_message_id: messageId }
+        );
+    }
+
+    // Only a pending request can be decided, so two admins can't both act on it
+    async resolveVerificationRequest(requestId, state, reviewerId, via, updates = {}) {
+        return VerificationRequest.findOneAndUpdate(
+            { _id: requestId, state: 'pending' },
+            { ...updates, state, reviewer_id: reviewerId, review_via: via, reviewed_at: new Date() },
+            { new: true }
+        ).lean();
+    }
+
+    async getPendingVerificationRequests(limit = 10) {
+        return VerificationRequest.find({ state: 'pending' }).sort({ created_at: 1 }).limit(limit).lean();
+    }
+
+    async countPendingVerificationRequests() {
+        return VerificationRequest.countDocuments({ state: 'pending' });
+    }
+
+    // Screenshots of the same pixel size sent since `since` by anyone but this
+    // user, newest first, for duplicate checks
+    async getVerificationHashes(excludeUserId, size, since, limit = 500) {
+        return VerificationRequest.find(
+            { photo_size: size, created_at: { $gte: since }, user_id: { $ne: excludeUserId } },
+            { user_id: 1, x_username: 1, photo_hash: 1, photo_strip: 1 }
+        ).sort({ created_at: -1 }).limit(limit).lean();
+    }
+
+    // ===========================
+    // ONBOARDING SESSIONS
+    // ===========================
+    async loadSessions() {
+        // The TTL monitor only runs once a minute, so skip anything already expired
+        return Session.find({
+            $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }]
+        }).lean();
+    }
+
+    async saveSession(userId, data, expiresAt) {
+        await Session.updateOne(
+            { user_id: userId },
+            { data, expires_at: expiresAt, updated_at: new Date() },
+            { upsert: true }
+        );
+    }
+
+    async deleteSession(userId) {
+        await Session.deleteOne({ user_id: userId });
+    }
+
+    // ===========================
+    // AUTO-VERIFY POLICY
+    // ===========================
+    getAutoVerifyPolicy() {
+        // Stored policies predating a setting get its default
+        return { ...new AutoVerifyPolicy().toObject(), ...this.autoVerifyPolicy };
+    }
+
+    async updateAutoVerifyPolicy(updates, actorId) {
+        this.autoVerifyPolicy = await AutoVerifyPolicy.findByIdAndUpdate(
+            'auto_verify',
+            { ...updates, updated_by: actorId, updated_at: new Date() },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).lean();
+        return this.autoVerifyPolicy;
+    }
+
+    // How shadow-mode decisions compare with what the reviewers did
+    async getShadowPolicyStats(since = null) {
+        const match = { 'policy.mode': 'shadow', 'policy.would_auto_verify': true };
+        if (since) match.created_at = { $gte: since };
+        const rows = await VerificationRequest.aggregate([
+            { $match: match },
+            { $group: { _id: '$state', count: { $sum: 1 } } }
+        ]);
+        const stats = { pending: 0, approved: 0, rejected: 0 };
+        rows.forEach(r => { stats[r._id] = r.count; });
+        return stats;
+    }
+
+    // ===========================
+    // AUDIT LOG
+    // ===========================
+    async appendAuditLog(entry) {
+        const doc = await AuditLog.create(entry);
+        return doc.toObject();
+    }
+
+    /**
+     * @param {object} filter - { userId (actor or target), action, since, until }
+     * @param {number} limit
+     * @returns {Promise<object[]>} - Newest first
+     */
+    async queryAuditLog({ userId, action, since, until } = {}, limit = 20) {
+        const query = {};
+        if (userId) query.$or = [{ actor_id: userId }, { target_id: userId }];
+        if (action) query.action = action;
+        if (since || until) {
+            query.at = {};
+            if (since) query.at.$gte = since;
+            if (until) query.at.$lt = until;
+        }
+        return AuditLog.find(query).sort({ at: -1 }).limit(limit).lean();
+    }
+
+    // ===========================
+    // PROFILE REPORTS
+    // ===========================
+    async createProfileReport(reporterId, targetId, reason) {
+        try {
+            const report = await ProfileReport.create({ reporter_id: reporterId, target_id: targetId, reason });
+            return { report: report.toObject(), created: true };
+        } catch (e) {
+            // Already has an open report on this profile
+            if (e.code !== 11000) throw e;
+            const report = await ProfileReport.findOne({ reporter_id: reporterId, target_id: targetId, status: 'open' }).lean();
+            return { report, created: false };
+        }
+    }
+
+    async countOpenReports(targetId) {
+        return ProfileReport.countDocuments({ target_id: targetId, status: 'open' });
+    }
+
+    // Open reports grouped per reported profile, most reported first
+    async getReportQueue(limit = 10) {
+        return ProfileReport.aggregate([
+            { $match: { status: 'open' } },
+            {
+                $group: {
+                    _id: '$target_id',
+                    count: { $sum: 1 },
+                    reasons: { $push: '$reason' },
+                    first_at: { $min: '$created_at' }
+                }
+            },
+            { $sort: { count: -1, first_at: 1 } },
+            { $limit: limit }
+        ]);
+    }
+
+    async countReportedProfiles() {
+        const targets = await ProfileReport.distinct('target_id', { status: 'open' });
+        return targets.length;
+    }
+
+    async resolveReports(targetId, status, adminId) {
+        const result = await ProfileReport.updateMany(
+            { target_id: targetId, status: 'open' },
+            { status, resolved_at: new Date(), resolved_by: adminId }
+        );
+        return result.modifiedCount;
+    }
+
+    async setHidden(telegramId, hidden) {
+        const user = this.users[telegramId];
+        if (!user || !!user.is_hidden === hidden) return false;
+
+        await User.updateOne({ telegram_id: telegramId }, { is_hidden: hidden });
+        user.is_hidden = hidden;
+        return true;
+    }
+
     async resetMatchHistory(userId = null) {
         if (userId) {
             await Match.deleteMany({ user_id: userId });
@@ -0,0 +1,306 @@
+import { logger } from "./utils.js";
+import {
+    DELIVERY_GLOBAL_PER_SECOND,
+    DELIVERY_PRIVATE_CHAT_BURST,
+    DELIVERY_PRIVATE_CHAT_PER_SECOND,
+    DELIVERY_GROUP_CHAT_PER_MINUTE,
+    DELIVERY_MAX_CONCURRENT,
+    DELIVERY_MAX_RETRIES
+} from "./config.js";
+
+// Distributions and broadcasts yield to interactive messages
+export const PRIORITY_BULK = -1;
+
+// How often idle per-chat buckets are swept out
+const BUCKET_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const TRANSIENT_NETWORK_CODES = new Set([
+    "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "ENOTFOUND", "ESOCKETTIMEDOUT"
+]);
+
+// Errors that mean the user can't receive anything until they come back
+const UNREACHABLE_PATTERNS = [
+    { reason: "blocked", pattern: /bot was blocked by the user/i },
+    { reason: "deactivated", pattern: /user is deactivated/i },
+    { reason: "not_started", pattern: /bot can't initiate conversation/i },
+    { reason: "chat_not_found", pattern: /chat not found/i }
+];
+
+/**
+ * Sorts a failed Bot API call into what the queue should do about it.
+ * @param {Error} error - TelegramError or network error thrown by Telegraf
+ * @returns {object} - { kind: 'rate_limited'|'transient'|'unreachable'|'permanent', retryAfter: number, reason: string|null }
+ */
+export function classifyTelegramError(error) {
+    const code = error?.code ?? error?.response?.error_code;
+    const retryAfter = error?.parameters?.retry_after ?? error?.response?.parameters?.retry_after;
+    const description = error?.description ?? error?.response?.description ?? error?.message ?? "";
+
+    if (code === 429) {
+        return { kind: "rate_limited", retryAfter: retryAfter || 1, reason: null };
+    }
+    if (typeof code === "number" && code >= 500) {
+        return { kind: "transient", retryAfter: 0, reason: null };
+    }
+    if (TRANSIENT_NETWORK_CODES.has(code) || error?.type === "system" || error?.name === "AbortError") {
+        return { kind: "transient", retryAfter: 0, reason: null };
+    }
+    if (code === 403 || code === 400) {
+        const match = UNREACHABLE_PATTERNS.find(p => p.pattern.test(description));
+        if (match) return { kind: "unreachable", retryAfter: 0, reason: match.reason };
+    }
+    return { kind: "permanent", retryAfter: 0, reason: null };
+}
+
+// Token bucket: `burst` sends straight away, then `ratePerMs` refill.
+class TokenBucket {
+    constructor(burst, ratePerMs) {
+        this.capacity = burst;
+        this.tokens = burst;
+        this.ratePerMs = ratePerMs;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+        this.updatedAt = now;
+    }
+
+    // ms until a token is available (0 = now)
+    waitTime(now) {
+        this.refill(now);
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.ratePerMs);
+    }
+
+    take(now) {
+        this.refill(now);
+        this.tokens -= 1;
+    }
+}
+
+// ===========================
+// OUTBOUND DELIVERY QUEUE
+// ===========================
+// Every bot.telegram.send* call goes through here so Telegram's flood limits
+// are respected in one place: a global rate, a per-chat rate (stricter for
+// groups), retry_after on 429s, and backoff on transient errors. Messages to
+// the same chat are delivered in the order they were queued.
+class DeliveryQueue {
+    constructor() {
+        this.telegram = null;
+        this.queue = [];
+        this.seq = 0;
+        this.inFlight = 0;
+        this.busyChats = new Set();
+        this.chatBuckets = new Map();
+        this.lastBucketSweep = Date.now();
+        this.globalBucket = new TokenBucket(DELIVERY_GLOBAL_PER_SECOND, DELIVERY_GLOBAL_PER_SECOND / 1000);
+        this.pausedUntil = 0;
+        this.timer = null;
+        this.timerAt = 0;
+        this.unreachableListeners = [];
+    }
+
+    attach(telegram) {
+        this.telegram = telegram;
+    }
+
+    // Called with (chatId, reason) when a send proves the chat can't be reached
+    onUnreachable(listener) {
+        this.unreachableListeners.push(listener);
+    }
+
+    /**
+     * Queues a Bot API call and resolves with its delivery status. Never throws.
+     * @param {string} method - Telegram method, e.g. 'sendMessage'
+     * @param {number} chatId
+     * @param {Array} args - Remaining arguments after chatId
+     * @param {object} options - { priority: number } higher goes first, default 0
+     * @returns {Promise<object>} - { ok, status: 'sent'|'failed', result, error, attempts, unreachable }
+     */
+    deliver(method, chatId, args = [], { priority = 0 } = {}) {
+        return new Promise(resolve => {
+            this.queue.push({ method, chatId, args, priority, seq: this.seq++, attempts: 0, notBefore: 0, resolve });
+            this.schedule(0);
+        });
+    }
+
+    // Drop-in replacements for bot.telegram.send*: resolve with the sent message
+    // or throw the final error, with the delivery status attached as error.delivery.
+    async sendMessage(chatId, text, extra, options) {
+        return this.unwrap(await this.deliver("sendMessage", chatId, [text, extra], options));
+    }
+
+    async sendPhoto(chatId, photo, extra, options) {
+        return this.unwrap(await this.deliver("sendPhoto", chatId, [photo, extra], options));
+    }
+
+    async sendDocument(chatId, document, extra, options) {
+        return this.unwrap(await this.deliver("sendDocument", chatId, [document, extra], options));
+    }
+
+    unwrap(delivery) {
+        if (delivery.ok) return delivery.result;
+        delivery.error.delivery = delivery;
+        throw delivery.error;
+    }
+
+    getStats() {
+        return { queued: this.queue.length, inFlight: this.inFlight, pausedUntil: this.pausedUntil };
+    }
+
+    chatBucket(chatId) {
+        let bucket = this.chatBuckets.get(chatId);
+        if (!bucket) {
+            bucket = chatId < 0
+                ? new TokenBucket(1, DELIVERY_GROUP_CHAT_PER_MINUTE / 60000)
+                : new TokenBucket(DELIVERY_PRIVATE_CHAT_BURST, DELIVERY_PRIVATE_CHAT_PER_SECOND / 1000);
+            this.chatBuckets.set(chatId, bucket);
+        }
+        return bucket;
+    }
+
+    // A full bucket behaves exactly like a new one, so chats with nothing
+    // queued or in flight can drop theirs; otherwise the map keeps one for
+    // every chat ever messaged.
+    sweepIdleBuckets(now) {
+        if (now - this.lastBucketSweep < BUCKET_SWEEP_INTERVAL_MS) return;
+        this.lastBucketSweep = now;
+
+        const queuedChats = new Set(this.queue.map(job => job.chatId));
+        for (const [chatId, bucket] of this.chatBuckets) {
+            if (this.busyChats.has(chatId) || queuedChats.has(chatId)) continue;
+            bucket.refill(now);
+            if (bucket.tokens >= bucket.capacity) this.chatBuckets.delete(chatId);
+        }
+    }
+
+    schedule(delay) {
+        const at = Date.now() + delay;
+        if (this.timer) {
+            if (this.timerAt <= at) return;
+            clearTimeout(this.timer);
+        }
+        this.timerAt = at;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+        }, delay);
+    }
+
+    pump() {
+        let wait = Infinity;
+        this.sweepIdleBuckets(Date.now());
+
+        while (this.queue.length > 0 && this.inFlight < DELIVERY_MAX_CONCURRENT) {
+            const now = Date.now();
+
+            if (this.pausedUntil > now) {
+                wait = this.pausedUntil - now;
+                break;
+            }
+
+            const globalWait = this.globalBucket.waitTime(now);
+            if (globalWait > 0) {
+                wait = globalWait;
+                break;
+            }
+
+            const { job, nextWait } = this.pickNext(now);
+            if (!job) {
+                wait = nextWait;
+                break;
+            }
+
+            this.queue.splice(this.queue.indexOf(job), 1);
+            this.globalBucket.take(now);
+            this.chatBucket(job.chatId).take(now);
+            this.dispatch(job);
+        }
+
+        if (this.queue.length > 0 && this.inFlight < DELIVERY_MAX_CONCURRENT && wait !== Infinity) {
+            this.schedule(Math.max(wait, 5));
+        }
+    }
+
+    // Highest priority first, then FIFO; only the oldest job per chat is eligible
+    pickNext(now) {
+        const seenChats = new Set();
+        let best = null;
+        let nextWait = Infinity;
+
+        for (const job of this.queue) {
+            if (seenChats.has(job.chatId)) continue;
+            seenChats.add(job.chatId);
+
+            if (this.busyChats.has(job.chatId)) continue;
+
+            const wait = Math.max(job.notBefore - now, this.chatBucket(job.chatId).waitTime(now));
+            if (wait > 0) {
+                nextWait = Math.min(nextWait, wait);
+                continue;
+            }
+
+            if (!best || job.priority > best.priority || (job.priority === best.priority && job.seq < best.seq)) {
+                best = job;
+            }
+        }
+
+        return { job: best, nextWait };
+    }
+
+    async dispatch(job) {
+        this.inFlight++;
+        this.busyChats.add(job.chatId);
+        job.attempts++;
+
+        try {
+            const result = await this.telegram[job.method](job.chatId, ...job.args);
+            job.resolve({ ok: true, status: "sent", result, error: null, attempts: job.attempts, unreachable: null });
+        } catch (error) {
+            this.handleFailure(job, error);
+        } finally {
+            this.inFlight--;
+            this.busyChats.delete(job.chatId);
+            this.schedule(0);
+        }
+    }
+
+    handleFailure(job, error) {
+        const { kind, retryAfter, reason } = classifyTelegramError(error);
+
+        if (kind === "rate_limited" && job.attempts <= DELIVERY_MAX_RETRIES + 2) {
+            // A 429 means we're over Telegram's flood limit: back off everything, not just this chat
+            logger.info(`⏳ Telegram asked us to wait ${retryAfter}s (${job.method} → ${job.chatId})`);
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter * 1000);
+            this.requeue(job, 0);
+            return;
+        }
+
+        if (kind === "transient" && job.attempts <= DELIVERY_MAX_RETRIES) {
+            const backoff = 500 * Math.pow(2, job.attempts - 1) + Math.floor(Math.random() * 250);
+            logger.info(`🔁 Retrying ${job.method} → ${job.chatId} in ${backoff}ms: ${error.message}`);
+            this.requeue(job, backoff);
+            return;
+        }
+
+        if (kind === "unreachable") {
+            for (const listener of this.unreachableListeners) {
+                Promise.resolve()
+                    .then(() => listener(job.chatId, reason))
+                    .catch(e => logger.error("Unreachable listener failed:", e));
+            }
+        }
+
+        job.resolve({ ok: false, status: "failed", result: null, error, attempts: job.attempts, unreachable: reason });
+    }
+
+    // Goes back in seq order so it still leaves before later messages to the same chat
+    requeue(job, delay) {
+        job.notBefore = Date.now() + delay;
+        const index = this.queue.findIndex(queued => queued.seq > job.seq);
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, job);
+    }
+}
+
+export const outbox = new DeliveryQueue();
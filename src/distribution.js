@@ -0,0 +1,241 @@
+import { Markup } from "telegraf";
+import { db } from "./database.js";
+import { escapeHtml, logger } from "./utils.js";
+import { outbox, PRIORITY_BULK } from "./delivery.js";
+
+// ===========================
+// HELPER: SEND PROFILES TO USER
+// ===========================
+// Buttons under a profile card; also used to restore them after a cancelled report
+export function buildProfileKeyboard(profile) {
+    return Markup.inlineKeyboard([
+        [Markup.button.url(`🔗 View Profile`, `https://x.com/${profile.x_username}`)],
+        [
+            Markup.button.callback('✅ I Followed', `followed_${profile.telegram_id}`),
+            Markup.button.callback('⏭️ Skip', `skip_${profile.telegram_id}`)
+        ],
+        [Markup.button.callback('🚩 Report', `report_${profile.telegram_id}`)]
+    ]);
+}
+
+export async function sendProfilesToUser(targetUser, profileCount) {
+    const unmatchedUsers = await db.getUnmatchedUsers(targetUser.telegram_id, profileCount);
+
+    if (unmatchedUsers.length === 0) {
+        return { success: false, reason: 'no_profiles', count: 0 };
+    }
+
+    const bulk = { priority: PRIORITY_BULK };
+
+    try {
+        await outbox.sendMessage(
+            targetUser.telegram_id,
+            `🎯 <b>New Profiles!</b>\n\n` +
+            `Got ${unmatchedUsers.length} verified peeps for you. ` +
+            `Follow 'em to grow! 🚀`,
+            { parse_mode: "HTML" },
+            bulk
+        );
+
+        for (const profile of unmatchedUsers) {
+            const profilePicUrl = `https://unavatar.io/twitter/${profile.x_username}`;
+            const caption =
+                `👤 <b>${escapeHtml(profile.telegram_name)}</b>\n` +
+                `🐦 @${escapeHtml(profile.x_username)}\n` +
+                `✅ Verified: ${new Date(profile.timestamp).toLocaleDateString()}\n` +
+                `📊 Shared: ${profile.profiles_sent || 0}x\n\n` +
+                `Drop a follow 👇`;
+
+            const keyboard = buildProfileKeyboard(profile);
+
+            const photo = await outbox.deliver(
+                'sendPhoto',
+                targetUser.telegram_id,
+                [profilePicUrl, { caption, parse_mode: "HTML", ...keyboard }],
+                bulk
+            );
+
+            if (!photo.ok) {
+                logger.log(`Could not fetch profile pic for @${profile.x_username}, using text fallback`);
+                await outbox.sendMessage(targetUser.telegram_id, caption, { parse_mode: "HTML", ...keyboard }, bulk);
+            }
+
+            await db.recordMatch(targetUser.telegram_id, profile.telegram_id);
+            await db.incrementProfilesReceived(targetUser.telegram_id);
+            await db.incrementProfilesSent(profile.telegram_id);
+        }
+
+        return { success: true, count: unmatchedUsers.length };
+    } catch (error) {
+        return { success: false, reason: 'error', error: error.message, count: 0 };
+    }
+}
+
+// ===========================
+// DISTRIBUTION JOBS
+// ===========================
+// Every distribution is a DistributionJob document: the user list is
+// snapshotted up front and each user's outcome is written as soon as it is
+// known, so a restart can pick up exactly where the last process stopped.
+class DistributionJobRunner {
+    constructor() {
+        this.bot = null;
+        this.active = new Set();
+        this.PROGRESS_INTERVAL = 3000; // ms between status message edits
+    }
+
+    isRunning() {
+        return this.active.size > 0;
+    }
+
+    async start(bot, { profileCount, trigger = 'command', scheduleId, requestedBy, statusChatId, statusMessageId }) {
+        this.bot = bot;
+        const users = db.getDistributableUsers();
+
+        const job = await db.createDistributionJob({
+            profileCount,
+            trigger,
+            scheduleId,
+            requestedBy,
+            userIds: users.map(u => u.telegram_id),
+            statusChatId,
+            statusMessageId
+        });
+
+        // Runs detached: Telegraf times handlers out long before a big run ends
+        const done = this.run(job);
+        done.catch(error => logger.error(`Distribution job ${job._id} crashed:`, error));
+        return { job, done };
+    }
+
+    async resumeInterrupted(bot) {
+        this.bot = bot;
+        const jobs = await db.getRunningDistributionJobs();
+
+        for (const job of jobs) {
+            if (this.active.has(job._id.toString())) continue;
+            logger.info(`♻️ Resuming distribution job ${job._id} at ${job.cursor}/${job.user_ids.length}`);
+
+            let resumed = await db.updateDistributionJob(job._id, { $inc: { resumed_count: 1 } });
+
+            // We can't tell whether the in-flight user got their profiles before the
+            // crash, so close them out instead of risking a double send.
+            if (resumed.in_flight) {
+                resumed = await db.recordJobOutcome(job._id, {
+                    userId: resumed.in_flight,
+                    outcome: 'skipped',
+                    error: 'interrupted mid-send'
+                }) || resumed;
+            }
+
+            try {
+                await this.run(resumed);
+            } catch (error) {
+                logger.error(`Distribution job ${job._id} crashed:`, error);
+            }
+        }
+
+        return jobs.length;
+    }
+
+    async run(job) {
+        const jobId = job._id.toString();
+        this.active.add(jobId);
+
+        const done = new Set(job.outcomes.map(o => o.user_id));
+        let current = job;
+        let lastProgress = 0;
+
+        try {
+            await this.updateStatus(current);
+
+            for (const userId of job.user_ids) {
+                if (done.has(userId)) continue;
+
+                const user = db.getUser(userId);
+                let outcome;
+
+                if (!db.isDistributable(user)) {
+                    outcome = { userId, outcome: 'skipped', error: 'no longer eligible' };
+                } else {
+                    await db.markJobInFlight(job._id, userId);
+                    const result = await sendProfilesToUser(user, job.profile_count);
+
+                    if (result.success) {
+                        outcome = { userId, outcome: 'sent', count: result.count };
+                    } else if (result.reason === 'no_profiles') {
+                        logger.log(`⏭️  Skipping user ${userId} - no unmatched profiles`);
+                        outcome = { userId, outcome: 'skipped', error: 'no_profiles' };
+                    } else {
+                        logger.error(`Failed to send to ${userId}:`, result.error || result.reason);
+                        outcome = { userId, outcome: 'failed', error: result.error || result.reason };
+                    }
+                }
+
+                current = await db.recordJobOutcome(job._id, outcome) || current;
+                done.add(userId);
+
+                if (Date.now() - lastProgress > this.PROGRESS_INTERVAL) {
+                    lastProgress = Date.now();
+                    await this.updateStatus(current);
+                }
+            }
+
+            current = await db.finishDistributionJob(job._id, 'completed');
+        } catch (error) {
+            current = await db.finishDistributionJob(job._id, 'failed', error.message);
+            throw error;
+        } finally {
+            this.active.delete(jobId);
+            await this.updateStatus(current);
+        }
+
+        return current;
+    }
+
+    async updateStatus(job) {
+        if (!job?.status_chat_id || !job.status_message_id) return;
+
+        const total = job.user_ids.length;
+        const processed = job.sent + job.skipped + job.failed;
+        const shortId = job._id.toString().slice(-6);
+
+        let text;
+        if (job.status === 'running') {
+            const filled = total ? Math.round((processed / total) * 10) : 10;
+            text =
+                `⏳ <b>Distributing ${job.profile_count} profiles</b> <code>${shortId}</code>\n\n` +
+                `${'▓'.repeat(filled)}${'░'.repeat(10 - filled)} ${processed}/${total}\n\n` +
+                `📨 Sent: ${job.sent}\n` +
+                `⏭️ Skipped: ${job.skipped}\n` +
+                `❌ Failed: ${job.failed}` +
+                (job.resumed_count ? `\n\n♻️ Resumed after restart` : '');
+        } else {
+            const title = job.status === 'completed' ? '✅ <b>Done!</b>' : '🚨 <b>Distribution stopped</b>';
+            text =
+                `${title} <code>${shortId}</code>\n\n` +
+                (job.trigger === 'schedule' ? `⏰ Scheduled run\n` : '') +
+                `📦 ${job.profile_count} profiles × ${total} users\n\n` +
+                `📨 Sent: ${job.sent}\n` +
+                `⏭️ Skipped: ${job.skipped}\n` +
+                `❌ Failed: ${job.failed}` +
+                (job.resumed_count ? `\n♻️ Resumed ${job.resumed_count}x` : '') +
+                (job.error ? `\n\nError: ${escapeHtml(job.error)}` : '');
+        }
+
+        const extra = { parse_mode: "HTML" };
+        if (job.trigger === 'dashboard' && job.status !== 'running') {
+            Object.assign(extra, Markup.inlineKeyboard([[Markup.button.callback('🔙 Back', 'admin_back')]]));
+        }
+
+        try {
+            await this.bot.telegram.editMessageText(job.status_chat_id, job.status_message_id, undefined, text, extra);
+        } catch (error) {
+            if (!error.description?.includes("message is not modified")) {
+                logger.log(`Could not update distribution status for ${shortId}:`, error.message);
+            }
+        }
+    }
+}
+
+export const distributionRunner = new DistributionJobRunner();
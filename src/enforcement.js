@@ -0,0 +1,261 @@
+import { db } from "./database.js";
+import { outbox } from "./delivery.js";
+import { escapeHtml, logger } from "./utils.js";
+import { audit } from "./audit.js";
+import {
+    ADMIN_GROUP_ID,
+    MAX_WARNINGS,
+    SUSPENSION_HOURS,
+    BAN_AFTER_SUSPENSIONS,
+    WARNING_DECAY_DAYS
+} from "./config.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function handleOf(user) {
+    return user?.x_username ? `@${escapeHtml(user.x_username)}` : `ID ${user?.telegram_id}`;
+}
+
+export function isSuspended(user) {
+    return !!user?.suspended_until && new Date(user.suspended_until).getTime() > Date.now();
+}
+
+// Every enforcement action is told to the user and to the admin group
+async function announce(user, userText, adminText) {
+    await outbox.deliver('sendMessage', user.telegram_id, [userText, { parse_mode: "HTML" }]);
+    await outbox.deliver('sendMessage', ADMIN_GROUP_ID, [adminText, { parse_mode: "HTML" }]);
+}
+
+/**
+ * Adds a warning, logs it and tells the admin group. The caller tells the
+ * user (it knows why), then calls escalate() so the notices arrive in order.
+ * @param {number} userId
+ * @param {string} reason
+ * @param {number|null} actorId - Who reported it, null for automatic
+ * @returns {Promise<number>} - Warnings now on the user
+ */
+export async function issueWarning(userId, reason, actorId = null) {
+    const warnings = await db.addWarning(userId);
+    const user = await db.recordEnforcement(userId, { action: 'warning', reason, by: actorId });
+    if (!user) return 0;
+
+    await outbox.deliver('sendMessage', ADMIN_GROUP_ID, [
+        `⚠️ <b>Warning</b> ${handleOf(user)} (ID: ${userId}) — ${warnings}/${MAX_WARNINGS}\n` +
+        `Reason: ${escapeHtml(reason)}`,
+        { parse_mode: "HTML" }
+    ]);
+    return warnings;
+}
+
+/**
+ * Applies the policy once a user is at MAX_WARNINGS: a timed suspension,
+ * or a ban if they've already been suspended BAN_AFTER_SUSPENSIONS times.
+ * @param {number} userId
+ * @returns {Promise<string|null>} - 'suspended', 'banned' or null if nothing happened
+ */
+export async function escalate(userId) {
+    const user = db.getUser(userId);
+    if (!user || user.is_banned || (user.warnings_count || 0) < MAX_WARNINGS) return null;
+
+    if ((user.suspensions_count || 0) >= BAN_AFTER_SUSPENSIONS) {
+        await banUser(userId, `Reached ${MAX_WARNINGS} warnings again after ${user.suspensions_count} suspension(s)`);
+        return 'banned';
+    }
+
+    await suspendUser(userId, `Reached ${MAX_WARNINGS} warnings`);
+    return 'suspended';
+}
+
+export async function suspendUser(userId, reason, actorId = null, hours = SUSPENSION_HOURS) {
+    const now = new Date();
+    const until = new Date(now.getTime() + hours * HOUR_MS);
+    const current = db.getUser(userId);
+    if (!current) return null;
+
+    // The suspension "spends" the warnings that caused it
+    const user = await db.recordEnforcement(
+        userId,
+        { action: 'suspended', reason, by: actorId, until },
+        {
+            suspended_until: until,
+            suspended_at: now,
+            suspensions_count: (current.suspensions_count || 0) + 1,
+            warnings_count: 0
+        }
+    );
+
+    await announce(
+        user,
+        `⛔ <b>Suspended</b>\n\n` +
+        `${escapeHtml(reason)}.\n` +
+        `You won't get or be shown profiles until ${until.toUTCString()}.` +
+        (user.suspensions_count >= BAN_AFTER_SUSPENSIONS
+            ? `\n\n<i>Reaching ${MAX_WARNINGS} warnings again means a permanent ban.</i>`
+            : ''),
+        `⛔ <b>${actorId ? 'Suspended' : 'Auto-Suspended'}</b> ${handleOf(user)} (ID: ${userId})\n` +
+        `Reason: ${escapeHtml(reason)}\n` +
+        `Until: ${until.toUTCString()} · Suspension #${user.suspensions_count}`
+    );
+    return user;
+}
+
+export async function liftSuspension(userId, reason, actorId = null) {
+    const user = await db.recordEnforcement(
+        userId,
+        { action: 'unsuspended', reason, by: actorId },
+        { suspended_until: null }
+    );
+    if (!user) return null;
+
+    await announce(
+        user,
+        `✅ <b>Suspension over</b>\n\n` +
+        `You're back in the network. Play fair! 🤝`,
+        `✅ <b>Suspension lifted</b> ${handleOf(user)} (ID: ${userId})\n` +
+        `Reason: ${escapeHtml(reason)}`
+    );
+    return user;
+}
+
+export async function banUser(userId, reason, actorId = null) {
+    await db.banUser(userId);
+    const user = await db.recordEnforcement(userId, { action: 'banned', reason, by: actorId }, { suspended_until: null });
+    if (!user) return null;
+
+    await announce(
+        user,
+        `🚫 <b>Banned</b>\n\n` +
+        `${escapeHtml(reason)}.\n` +
+        `You've been removed from the network.`,
+        `🚫 <b>${actorId ? 'Banned' : 'Auto-Banned'}</b> ${handleOf(user)} (ID: ${userId})\n` +
+        `Reason: ${escapeHtml(reason)}`
+    );
+    return user;
+}
+
+export async function unbanUser(userId, reason, actorId = null) {
+    await db.unbanUser(userId);
+    const user = await db.recordEnforcement(userId, { action: 'unbanned', reason, by: actorId });
+    if (!user) return null;
+
+    await announce(
+        user,
+        `✅ <b>Unbanned</b>\n\n` +
+        `You're back in the network.`,
+        `✅ <b>Unbanned</b> ${handleOf(user)} (ID: ${userId})\n` +
+        `Reason: ${escapeHtml(reason)}`
+    );
+    return user;
+}
+
+// When the last automatic ban (escalate) was issued, or null
+function lastAutoBanAt(user) {
+    const entry = [...(user.enforcement_log || [])].reverse().find(e => e.action === 'banned');
+    return entry && entry.by === null ? new Date(entry.at) : null;
+}
+
+/**
+ * Takes back a warning that turned out to be wrong. If that warning is what
+ * tipped the user into a suspension or an automatic ban, that is undone as well.
+ * @param {number} userId
+ * @param {Date} warnedAt - When the wrong warning was issued
+ * @returns {Promise<number>} - Warnings left
+ */
+export async function rollbackWarning(userId, reason, warnedAt, actorId = null) {
+    const user = db.getUser(userId);
+    if (!user) return 0;
+
+    const bannedAt = user.is_banned ? lastAutoBanAt(user) : null;
+    if (bannedAt && bannedAt >= new Date(warnedAt)) {
+        await db.recordEnforcement(
+            userId,
+            { action: 'warning_removed', reason, by: actorId },
+            { warnings_count: Math.max(0, MAX_WARNINGS - 1) }
+        );
+        await unbanUser(userId, reason, actorId);
+        await audit(actorId, 'unban', { target: userId, params: { via: 'dispute', reason } });
+        return db.getUser(userId).warnings_count;
+    }
+
+    if (isSuspended(user) && user.suspended_at && new Date(user.suspended_at) >= new Date(warnedAt)) {
+        await db.recordEnforcement(
+            userId,
+            { action: 'warning_removed', reason, by: actorId },
+            {
+                warnings_count: Math.max(0, MAX_WARNINGS - 1),
+                suspensions_count: Math.max(0, (user.suspensions_count || 0) - 1)
+            }
+        );
+        await liftSuspension(userId, reason, actorId);
+        return db.getUser(userId).warnings_count;
+    }
+
+    const warnings = await db.removeWarning(userId);
+    await db.recordEnforcement(userId, { action: 'warning_removed', reason, by: actorId });
+    await outbox.deliver('sendMessage', ADMIN_GROUP_ID, [
+        `↩️ <b>Warning removed</b> ${handleOf(user)} (ID: ${userId}) — ${warnings}/${MAX_WARNINGS}\n` +
+        `Reason: ${escapeHtml(reason)}`,
+        { parse_mode: "HTML" }
+    ]);
+    return warnings;
+}
+
+// ===========================
+// ENFORCEMENT SWEEPER
+// ===========================
+// Lifts finished suspensions and lets warnings decay after a clean period.
+class EnforcementSweeper {
+    constructor() {
+        this.timer = null;
+        this.SWEEP_INTERVAL = 15 * 60 * 1000;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.sweep().catch(error => logger.error("Enforcement sweep failed:", error));
+        }, this.SWEEP_INTERVAL);
+        this.sweep().catch(error => logger.error("Enforcement sweep failed:", error));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async sweep() {
+        const now = Date.now();
+
+        for (const user of db.getSuspendedUsers()) {
+            if (new Date(user.suspended_until).getTime() <= now) {
+                await liftSuspension(user.telegram_id, "Suspension period ended");
+            }
+        }
+
+        for (const user of Object.values(db.users)) {
+            if (!user.warnings_count || user.is_banned) continue;
+
+            // One warning drops off per clean WARNING_DECAY_DAYS
+            const since = new Date(user.last_warning_at || user.timestamp || 0).getTime();
+            if (now - since < WARNING_DECAY_DAYS * DAY_MS) continue;
+
+            const warnings = await db.removeWarning(user.telegram_id);
+            await db.recordEnforcement(
+                user.telegram_id,
+                { action: 'warning_decayed', reason: `${WARNING_DECAY_DAYS} days without a warning` },
+                { last_warning_at: new Date(now) }
+            );
+            await announce(
+                user,
+                `🌱 <b>Warning expired</b>\n\n` +
+                `${WARNING_DECAY_DAYS} clean days! You're at ${warnings}/${MAX_WARNINGS} warnings now.`,
+                `🌱 <b>Warning decayed</b> ${handleOf(user)} (ID: ${user.telegram_id}) — ${warnings}/${MAX_WARNINGS}`
+            );
+        }
+    }
+}
+
+export const enforcementSweeper = new EnforcementSweeper();
@@ -0,0 +1,138 @@
+import { Markup } from "telegraf";
+import { db } from "./database.js";
+import { outbox } from "./delivery.js";
+import { escapeHtml, logger } from "./utils.js";
+import { FOLLOW_CLAIM_REMINDER_HOURS, FOLLOW_CLAIM_EXPIRY_HOURS } from "./config.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Opens (or reuses) the pending claim that `claimantId` followed `targetId`.
+ * @param {boolean} awaitingProof - true while we wait for the claimant's screenshot
+ * @returns {Promise<object>} - { claim, created }
+ */
+export function openFollowClaim(claimantId, targetId, awaitingProof = false) {
+    const expiresAt = new Date(Date.now() + FOLLOW_CLAIM_EXPIRY_HOURS * HOUR_MS);
+    return db.openFollowClaim(claimantId, targetId, expiresAt, awaitingProof);
+}
+
+/**
+ * Records the stats side of a follow that has been confirmed.
+ * @returns {Promise<boolean>} - true if it made the pair mutual
+ */
+export async function applyConfirmedFollow(followerId, targetId) {
+    await db.incrementProfilesFollowed(followerId);
+    await db.addVerifiedFollow(followerId, targetId); // Record verified follow
+
+    // Check for mutual follow
+    const isMutual = db.hasUserFollowed(targetId, followerId);
+    if (isMutual) {
+        await db.recordMutualFollow(followerId, targetId);
+    }
+    return isMutual;
+}
+
+/**
+ * Builds the "did they actually follow?" message sent to the claim's target.
+ * @param {object} claim - FollowClaim document
+ * @param {object} follower - Claimant's user document
+ * @param {boolean} isReminder
+ * @returns {object} - { text, extra }
+ */
+export function buildClaimPrompt(claim, follower, isReminder = false) {
+    const text =
+        (isReminder ? `⏰ <b>Reminder: New Follower!</b>\n\n` : `🔔 <b>New Follower!</b>\n\n`) +
+        `👤 <b>${escapeHtml(follower.telegram_name)}</b> says they followed you.\n` +
+        `🐦 @${escapeHtml(follower.x_username)}\n\n` +
+        `<b>Did they actually follow?</b>` +
+        (isReminder ? `\n\n<i>Expires ${new Date(claim.expires_at).toUTCString()}</i>` : '');
+
+    const extra = {
+        parse_mode: "HTML",
+        ...Markup.inlineKeyboard([
+            [
+                Markup.button.callback('✅ Yup', `confirm_follow_${claim._id}`),
+                Markup.button.callback('❌ Nope', `deny_follow_${claim._id}`)
+            ],
+            [Markup.button.url(`🔗 Check @${follower.x_username}`, `https://x.com/${follower.x_username}`)]
+        ])
+    };
+
+    return { text, extra };
+}
+
+// ===========================
+// CLAIM SWEEPER
+// ===========================
+// Nudges targets who haven't answered and closes claims nobody answered.
+class FollowClaimSweeper {
+    constructor() {
+        this.timer = null;
+        this.SWEEP_INTERVAL = 10 * 60 * 1000;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.sweep().catch(error => logger.error("Follow claim sweep failed:", error));
+        }, this.SWEEP_INTERVAL);
+        this.sweep().catch(error => logger.error("Follow claim sweep failed:", error));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async sweep() {
+        const now = new Date();
+
+        const expired = await db.getExpiredClaims(now);
+        for (const claim of expired) {
+            await this.expire(claim);
+        }
+
+        const due = await db.getClaimsNeedingReminder(new Date(now.getTime() - FOLLOW_CLAIM_REMINDER_HOURS * HOUR_MS));
+        for (const claim of due) {
+            await this.remind(claim);
+        }
+    }
+
+    async remind(claim) {
+        // Set first so a failing send doesn't re-remind every sweep
+        await db.updateFollowClaim(claim._id, { reminded_at: new Date() });
+
+        const follower = db.getUser(claim.claimant_id);
+        if (!follower || !db.getUser(claim.target_id)) return;
+
+        const { text, extra } = buildClaimPrompt(claim, follower, true);
+        const delivery = await outbox.deliver('sendMessage', claim.target_id, [text, extra]);
+        if (!delivery.ok) {
+            logger.log(`Could not remind ${claim.target_id} about claim ${claim._id}:`, delivery.error.message);
+        }
+    }
+
+    async expire(claim) {
+        const resolved = await db.resolveFollowClaim(claim._id, 'expired');
+        if (!resolved) return;
+
+        const target = db.getUser(claim.target_id);
+        if (!target || !db.getUser(claim.claimant_id)) return;
+
+        // Still waiting on the claimant's screenshot: the target was never asked
+        const why = claim.awaiting_proof
+            ? `You didn't send proof of following @${escapeHtml(target.x_username)} in time.\n`
+            : `@${escapeHtml(target.x_username)} didn't confirm in time.\n`;
+
+        await outbox.deliver('sendMessage', claim.claimant_id, [
+            `⌛ <b>Follow claim expired</b>\n\n` +
+            why +
+            `No warning, no stats change.`,
+            { parse_mode: "HTML" }
+        ]);
+    }
+}
+
+export const followClaimSweeper = new FollowClaimSweeper();
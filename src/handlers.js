@@ -1,115 +1,169 @@
 import { Markup } from "telegraf";
-import { createWorker } from "tesseract.js";
-import path from "path";
-import { fileURLToPath } from "url";
 import { db } from "./database.js";
 import { escapeHtml, logger } from "./utils.js";
-import { validateProfileLayout } from "./ocr.js";
+import { validateScreenshot, validateProfileLayout, extractProfile, handlesMatch, preprocessScreenshot, mapToOriginal } from "./ocr.js";
+import { describeScore } from "./matching.js";
+import { sendProfilesToUser, distributionRunner, buildProfileKeyboard } from "./distribution.js";
+import { parseCron, getNextRun } from "./scheduler.js";
+import { outbox, PRIORITY_BULK } from "./delivery.js";
+import { openFollowClaim, buildClaimPrompt, applyConfirmedFollow } from "./followClaims.js";
+import { fileReport, summarizeReasons, REPORT_REASONS, REPORT_REASON_LABELS } from "./reports.js";
+import { audit, parseAuditArgs, formatAuditEntry, auditToCsv } from "./audit.js";
+import { screenshotFingerprint, findDuplicateSubmissions } from "./imageHash.js";
+import { analyzeTampering } from "./tamper.js";
+import { ocrPool } from "./ocrPool.js";
+import { evaluatePolicy, parsePolicyUpdate, formatPolicy, POLICY_SETTINGS } from "./autoVerifyPolicy.js";
+import {
+    sendReviewCard,
+    buildReviewCard,
+    describeRequestState,
+    REJECTION_REASONS,
+    buildRejectionPicker,
+    buildRejectionMessage
+} from "./verificationRequests.js";
+import { can, isAdmin, isOwner, getRole, ADMIN_ROLES, ROLE_LABELS, ROLE_PERMISSIONS } from "./admins.js";
+import { issueWarning, escalate, rollbackWarning, banUser, unbanUser, isSuspended } from "./enforcement.js";
 import {
     ADMIN_ID,
     ADMIN_GROUP_ID,
     OWNER_X,
     MAX_SKIPS_PER_DAY,
     MAX_WARNINGS,
-    MAX_VERIFICATION_ATTEMPTS
+    MAX_VERIFICATION_ATTEMPTS,
+    SESSION_TTL_HOURS,
+    DISPUTE_WINDOW_HOURS,
+    REJECT_NOTE_TIMEOUT_MINUTES,
+    OCR_FOLLOW_VERIFICATION,
+    SUSPENSION_HOURS,
+    WARNING_DECAY_DAYS,
+    TAMPER_BLOCK_SCORE
 } from "./config.js";
 
-// ===========================
-// TESSERACT WORKER (SINGLETON)
-// ===========================
-class OCRWorkerManager {
-    constructor() {
-        this.worker = null;
-        this.isInitializing = false;
-        this.initAttempts = 0;
-        this.maxInitAttempts = 3;
-    }
+async function downloadFile(telegram, fileId) {
+    const fileLink = await telegram.getFileLink(fileId);
+    const response = await fetch(fileLink.href);
+    if (!response.ok) throw new Error(`Download failed: HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+}
 
-    async getWorker() {
-        if (this.worker && !this.isInitializing) {
-            return this.worker;
-        }
+// Cleans a downloaded screenshot up and runs it through the OCR pool.
+// Returns the Tesseract result plus the image size the layout checks need.
+async function recognizeScreenshot(buffer, ctx = null) {
+    const image = await preprocessScreenshot(buffer);
 
-        if (this.isInitializing) {
-            // Wait for initialization to complete
-            await this.waitForInitialization();
-            return this.worker;
-        }
+    const ret = await ocrPool.recognize(image.buffer, position =>
+        ctx?.reply(`⏳ Lots of screenshots right now, you're #${position} in line.`)
+    );
 
-        return await this.initializeWorker();
-    }
+    mapToOriginal(ret.data, image.transform);
+    return { ret, width: image.width, height: image.height };
+}
 
-    async initializeWorker() {
-        this.isInitializing = true;
-        this.initAttempts = 0;
-        try {
-            console.log("⚙️ Initializing Tesseract Worker...");
-            const __dirname = path.dirname(fileURLToPath(import.meta.url));
-            const langPath = path.resolve(__dirname, "../");
-            const cachePath = path.join(__dirname, "../.tesseract_cache");
-
-            console.log(`📂 Tesseract Lang Path: ${langPath}`);
-
-            this.worker = await createWorker("eng", 1, {
-                langPath: langPath,
-                gzip: false,
-                cachePath: cachePath,
-                logger: m => {
-                    if (m.status === 'recognizing text') {
-                        // Log progress if needed
-                    }
-                }
-            });
-            console.log("✅ Tesseract Worker Ready!");
-            this.isInitializing = false;
-            return this.worker;
-        } catch (error) {
-            this.initAttempts++;
-            console.error(`❌ Failed to init Tesseract (attempt ${this.initAttempts}):`, error);
+// The file behind a screenshot message: a photo, or an image sent uncompressed as a file
+function screenshotFile(message) {
+    if (message.photo) return { file_id: message.photo[message.photo.length - 1].file_id, kind: "photo" };
+    if (message.document?.mime_type?.startsWith("image/")) return { file_id: message.document.file_id, kind: "document" };
+    return null;
+}
 
-            if (this.initAttempts < this.maxInitAttempts) {
-                console.log(`🔄 Retrying initialization...`);
-                await new Promise(resolve => setTimeout(resolve, 2000 * this.initAttempts));
-                return await this.initializeWorker();
-            } else {
-                this.isInitializing = false;
-                throw new Error(`Failed to initialize Tesseract after ${this.maxInitAttempts} attempts: ${error.message}`);
-            }
-        }
-    }
+// An album arrives as one message per image sharing a media_group_id. Collect
+// them until no more come for a moment, then hand over the whole set once.
+const ALBUM_WAIT_MS = 1500;
+const albums = new Map(); // media_group_id -> { files, onComplete, timer }
 
-    async waitForInitialization() {
-        while (this.isInitializing) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+function collectAlbum(groupId, file, onComplete) {
+    let album = albums.get(groupId);
+    if (!album) {
+        album = { files: [], onComplete };
+        albums.set(groupId, album);
     }
+    album.files.push(file);
+    clearTimeout(album.timer);
+    album.timer = setTimeout(() => {
+        albums.delete(groupId);
+        album.onComplete(album.files);
+    }, ALBUM_WAIT_MS);
+}
 
-    async terminateWorker() {
-        if (this.worker) {
-            try {
-                await this.worker.terminate();
-            } catch (error) {
-                console.error("Error terminating worker:", error);
-            }
-            this.worker = null;
-        }
+// Picks the best image of an album: one that would pass beats any that
+// wouldn't, then the one with the fewest problems, then the clearest read.
+function rankScreenshot({ validation, confidence, hasOwner, isDuplicate, looksEdited, decision }) {
+    return (decision.wouldAutoVerify ? 10000 : 0) +
+        (validation.isValid ? 2000 : 0) +
+        (validation.followState === "following" ? 1000 : 0) +
+        (hasOwner ? 1000 : 0) +
+        (isDuplicate ? 0 : 500) +
+        (looksEdited ? 0 : 500) +
+        (validation.confidence || 0) +
+        (confidence || 0) / 100;
+}
+
+/**
+ * What to tell a user whose screenshot failed the auto-check, so the next
+ * one can pass. Duplicates, edited-looking images and the owner's Followers
+ * list get no hint: those go to an admin straight away.
+ * @param {object} result - From assessScreenshot()
+ * @returns {string|null} - HTML hint, or null if retrying won't help
+ */
+function retryHint({ validation, hasOwner, readHandle, isDuplicate, looksEdited, decision }) {
+    if (isDuplicate || looksEdited) return null;
+    const owner = `@${escapeHtml(OWNER_X)}`;
+
+    if (!validation.isValid) {
+        if (validation.layout === "following_list") return `${owner} isn't in that Following list. Scroll until their row shows.`;
+        if (validation.layout === "followers_list") return `You aren't in ${owner}'s Followers list there. Scroll until your row shows.`;
+        if (validation.layout === "list") return `That list isn't yours or ${owner}'s. Send your own Following list or ${owner}'s profile.`;
+        if (validation.reason === "No text found") return "I couldn't read any text. Send a real screenshot, not a photo of your screen.";
+        return `That doesn't look like an X profile. Open ${owner}'s profile and screenshot the top: name, @handle, counts and the button.`;
     }
+    if (validation.layout === "followers_list") return null;
+    if (validation.followState === "not_following") return `The button says "Follow", so you're not following yet. Follow ${owner}, then take a new screenshot.`;
+    if (validation.followState !== "following") return `I couldn't read the "Following" button. Make sure it's fully visible.`;
+    if (!hasOwner) {
+        return readHandle
+            ? `That's @${escapeHtml(readHandle)}, not ${owner}. Screenshot ${owner}'s profile.`
+            : `I couldn't read ${owner}'s @handle. Keep it visible and uncropped.`;
+    }
+    if (decision.failed.length) {
+        return decision.failedSettings
+            .map((setting, i) => `${POLICY_HINTS[setting]} (${escapeHtml(decision.failed[i])})`)
+            .join("\n");
+    }
+    return null;
 }
 
-// Usage
-const ocrManager = new OCRWorkerManager();
+// Retry hints for the auto-verify policy checks, by POLICY_SETTINGS key
+const POLICY_HINTS = {
+    min_layout: "The profile layout wasn't clear enough to check. Send the whole top of the profile, uncropped.",
+    min_list: "The list wasn't clear enough to check. Send it uncropped, with the tabs at the top visible.",
+    min_ocr: "The text was hard to read. Send a sharper screenshot, or the image as a file.",
+    require: "Part of the profile is missing from the shot. Include the name, @handle, counts and the button."
+};
 
 // ===========================
 // SESSION MANAGEMENT
 // ===========================
+// Sessions live in memory for sync access and are written through to Mongo,
+// so a restart resumes onboarding where it stopped.
 class SessionManager {
     constructor() {
         this.sessions = new Map();
-        this.SESSION_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+        this.writes = new Map(); // userId -> last pending write, keeps writes in order
+        this.persistedAt = new Map(); // userId -> when lastActivity was last written
+        this.TOUCH_PERSIST_INTERVAL = 5 * 60 * 1000;
+        this.SESSION_TIMEOUT = SESSION_TTL_HOURS * 60 * 60 * 1000;
         this.cleanupInterval = null;
         this.startCleanupTimer();
     }
 
+    async load() {
+        const stored = await db.loadSessions();
+        for (const doc of stored) {
+            this.sessions.set(doc.user_id, doc.data);
+        }
+        return stored.length;
+    }
+
     startCleanupTimer() {
         this.cleanupInterval = setInterval(() => {
             this.cleanupExpiredSessions();
@@ -120,8 +174,10 @@ class SessionManager {
         const now = Date.now();
         let cleanedCount = 0;
         for (const [userId, session] of this.sessions.entries()) {
-            if (now - session.startTime > this.SESSION_TIMEOUT) {
-                this.sessions.delete(userId);
+            if (this.isPendingReview(session)) continue;
+            if (now - session.lastActivity > this.SESSION_TIMEOUT) {
+                this.sessions.delete(userId); // Mongo drops it via the TTL index
+                this.persistedAt.delete(userId);
                 cleanedCount++;
             }
         }
@@ -130,6 +186,28 @@ class SessionManager {
         }
     }
 
+    // Waiting on an admin: must survive until verify_/decline_ or /verify
+    isPendingReview(session) {
+        return session.step === "done";
+    }
+
+    persist(userId) {
+        if (this.sessions.has(userId)) this.persistedAt.set(userId, Date.now());
+        else this.persistedAt.delete(userId);
+        const previous = this.writes.get(userId) || Promise.resolve();
+        const write = previous.then(() => {
+            const session = this.sessions.get(userId);
+            if (!session) return db.deleteSession(userId);
+            const expiresAt = this.isPendingReview(session) ? null : new Date(session.lastActivity + this.SESSION_TIMEOUT);
+            return db.saveSession(userId, session, expiresAt);
+        }).catch(error => {
+            logger.error(`Failed to persist session for ${userId}:`, error.message);
+        }).finally(() => {
+            if (this.writes.get(userId) === write) this.writes.delete(userId);
+        });
+        this.writes.set(userId, write);
+    }
+
     createSession(userId) {
         const session = {
             step: "username",
@@ -139,6 +217,7 @@ class SessionManager {
             lastActivity: Date.now()
         };
         this.sessions.set(userId, session);
+        this.persist(userId);
         return session;
     }
 
@@ -146,6 +225,10 @@ class SessionManager {
         const session = this.sessions.get(userId);
         if (session) {
             session.lastActivity = Date.now();
+            // Mongo's expiry follows the last write, so reads have to move it too (throttled)
+            if (session.lastActivity - (this.persistedAt.get(userId) || 0) > this.TOUCH_PERSIST_INTERVAL) {
+                this.persist(userId);
+            }
         }
         return session;
     }
@@ -155,12 +238,15 @@ class SessionManager {
         if (session) {
             Object.assign(session, updates);
             session.lastActivity = Date.now();
+            this.persist(userId);
         }
         return session;
     }
 
     deleteSession(userId) {
-        return this.sessions.delete(userId);
+        const deleted = this.sessions.delete(userId);
+        if (deleted) this.persist(userId);
+        return deleted;
     }
 
     destroy() {
@@ -177,88 +263,16 @@ export const resetSession = (userId) => {
     sessionManager.createSession(userId);
 };
 
-// ===========================
-// HELPER: SEND PROFILES TO USER
-// ===========================
-async function sendProfilesToUser(bot, targetUser, profileCount) {
-    const unmatchedUsers = await db.getUnmatchedUsers(targetUser.telegram_id, profileCount);
-
-    if (unmatchedUsers.length === 0) {
-        return { success: false, reason: 'no_profiles', count: 0 };
-    }
-
-    try {
-        await bot.telegram.sendMessage(
-            targetUser.telegram_id,
-            `🎯 <b>New Profiles!</b>\n\n` +
-            `Got ${unmatchedUsers.length} verified peeps for you. ` +
-            `Follow 'em to grow! 🚀`,
-            { parse_mode: "HTML" }
-        );
-
-        for (const profile of unmatchedUsers) {
-            try {
-                const profilePicUrl = `https://unavatar.io/twitter/${profile.x_username}`;
-
-                const keyboard = Markup.inlineKeyboard([
-                    [Markup.button.url(`🔗 View Profile`, `https://x.com/${profile.x_username}`)],
-                    [
-                        Markup.button.callback('✅ I Followed', `followed_${profile.telegram_id}`),
-                        Markup.button.callback('⏭️ Skip', `skip_${profile.telegram_id}`)
-                    ]
-                ]);
-
-                await bot.telegram.sendPhoto(
-                    targetUser.telegram_id,
-                    profilePicUrl,
-                    {
-                        caption:
-                            `👤 <b>${escapeHtml(profile.telegram_name)}</b>\n` +
-                            `🐦 @${escapeHtml(profile.x_username)}\n` +
-                            `✅ Verified: ${new Date(profile.timestamp).toLocaleDateString()}\n` +
-                            `📊 Shared: ${profile.profiles_sent || 0}x\n\n` +
-                            `Drop a follow 👇`,
-                        parse_mode: "HTML",
-                        ...keyboard
-                    }
-                );
-            } catch (photoError) {
-                logger.log(`Could not fetch profile pic for @${profile.x_username}, using text fallback`);
-
-                await bot.telegram.sendMessage(
-                    targetUser.telegram_id,
-                    `👤 <b>${escapeHtml(profile.telegram_name)}</b>\n` +
-                    `🐦 @${escapeHtml(profile.x_username)}\n` +
-                    `✅ Verified: ${new Date(profile.timestamp).toLocaleDateString()}\n` +
-                    `📊 Shared: ${profile.profiles_sent || 0}x\n\n` +
-                    `Drop a follow 👇`,
-                    {
-                        parse_mode: "HTML",
-                        ...Markup.inlineKeyboard([
-                            [Markup.button.url(`🔗 View Profile`, `https://x.com/${profile.x_username}`)],
-                            [
-                                Markup.button.callback('✅ Followed', `followed_${profile.telegram_id}`),
-                                Markup.button.callback('⏭️ Skip', `skip_${profile.telegram_id}`)
-                            ]
-                        ])
-                    }
-                );
-            }
-
-            await db.recordMatch(targetUser.telegram_id, profile.telegram_id);
-            await db.incrementProfilesReceived(targetUser.telegram_id);
-            await db.incrementProfilesSent(profile.telegram_id);
+export const restoreSessions = () => sessionManager.load();
 
-            await new Promise(resolve => setTimeout(resolve, 150));
+export function setupHandlers(bot) {
+    outbox.attach(bot.telegram);
+    outbox.onUnreachable(async (chatId, reason) => {
+        if (await db.markUnreachable(chatId, reason)) {
+            logger.info(`📵 User ${chatId} is unreachable (${reason})`);
         }
+    });
 
-        return { success: true, count: unmatchedUsers.length };
-    } catch (error) {
-        return { success: false, reason: 'error', error: error.message, count: 0 };
-    }
-}
-
-export function setupHandlers(bot) {
     // ===========================
     // CALLBACK HANDLERS
     // ===========================
@@ -274,25 +288,47 @@ export function setupHandlers(bot) {
                 return ctx.answerCbQuery('❌ User gone or missing data');
             }
 
-            // Ask the followed user for confirmation
-            try {
-                await bot.telegram.sendMessage(
-                    profileUserId,
-                    `🔔 <b>New Follower!</b>\n\n` +
-                    `👤 <b>${escapeHtml(follower.telegram_name)}</b> says they followed you.\n` +
-                    `🐦 @${escapeHtml(follower.x_username)}\n\n` +
-                    `<b>Did they actually follow?</b>`,
+            if (db.hasUserFollowed(userId, profileUserId)) {
+                return ctx.answerCbQuery('✅ Already confirmed earlier.');
+            }
+
+            const { claim, created } = await openFollowClaim(userId, profileUserId, OCR_FOLLOW_VERIFICATION);
+            if (!created) {
+                return ctx.answerCbQuery('⏳ Already waiting on them. See /claims');
+            }
+
+            if (OCR_FOLLOW_VERIFICATION) {
+                sessionManager.createSession(userId);
+                sessionManager.updateSession(userId, { step: "follow_proof", proofClaimId: claim._id.toString() });
+
+                await ctx.answerCbQuery('📸 Send a screenshot to confirm');
+                await ctx.editMessageCaption(
+                    ctx.callbackQuery.message.caption + '\n\n📸 <b>Waiting for your screenshot...</b>',
                     {
                         parse_mode: "HTML",
                         ...Markup.inlineKeyboard([
-                            [
-                                Markup.button.callback('✅ Yup', `confirm_follow_${userId}`),
-                                Markup.button.callback('❌ Nope', `deny_follow_${userId}`)
-                            ],
-                            [Markup.button.url(`🔗 Check @${follower.x_username}`, `https://x.com/${follower.x_username}`)]
+                            [Markup.button.url(`🔗 View Profile`, `https://x.com/${followed.x_username}`)]
+                        ])
+                    }
+                );
+                await ctx.reply(
+                    `📸 <b>Prove it!</b>\n\n` +
+                    `Send a screenshot of @${escapeHtml(followed.x_username)}'s X profile ` +
+                    `with the <b>Following</b> button visible and it counts instantly.`,
+                    {
+                        parse_mode: "HTML",
+                        ...Markup.inlineKeyboard([
+                            [Markup.button.callback('🙋 Ask them instead', `claim_manual_${claim._id}`)]
                         ])
                     }
                 );
+                return;
+            }
+
+            // Ask the followed user for confirmation
+            try {
+                const { text, extra } = buildClaimPrompt(claim, follower);
+                await outbox.sendMessage(profileUserId, text, extra);
 
                 await ctx.answerCbQuery('✅ Sent! Waiting for them to confirm.');
 
@@ -309,8 +345,8 @@ export function setupHandlers(bot) {
             } catch (dmError) {
                 logger.error(`Failed to send confirmation request to user ${profileUserId}:`, dmError.message);
 
-                // Clean up session state
-                sessionManager.deleteSession(userId);
+                // Nobody can answer it, so don't leave it pending
+                await db.resolveFollowClaim(claim._id, 'expired');
 
                 // Notify the user who clicked the button
                 await ctx.answerCbQuery('❌ Could not reach user (they might have blocked the bot)');
@@ -332,11 +368,78 @@ export function setupHandlers(bot) {
         }
     });
 
-    bot.action(/^confirm_follow_(\d+)$/, async (ctx) => {
-        const followerId = parseInt(ctx.match[1]);
+    // Hands a screenshot-mode claim over to the target's confirm/deny buttons
+    async function askTargetToConfirm(claim) {
+        const follower = db.getUser(claim.claimant_id);
+        if (!follower || !db.getUser(claim.target_id)) return false;
+
+        await db.updateFollowClaim(claim._id, { awaiting_proof: false });
+
+        const { text, extra } = buildClaimPrompt(claim, follower);
+        const delivery = await outbox.deliver('sendMessage', claim.target_id, [text, extra]);
+        if (!delivery.ok) {
+            await db.resolveFollowClaim(claim._id, 'expired');
+            return false;
+        }
+        return true;
+    }
+
+    bot.action(/^claim_manual_([a-f0-9]{24})$/, async (ctx) => {
+        const userId = ctx.from.id;
+
+        try {
+            const claim = await db.getFollowClaim(ctx.match[1]);
+            if (!claim || claim.claimant_id !== userId || claim.status !== 'pending' || !claim.awaiting_proof) {
+                return ctx.answerCbQuery('⚠️ Already handled');
+            }
+
+            sessionManager.deleteSession(userId);
+            const sent = await askTargetToConfirm(claim);
+
+            await ctx.answerCbQuery(sent ? '✅ Sent! Waiting for them to confirm.' : '❌ Could not reach user');
+            await ctx.editMessageText(
+                sent ? `⏳ <b>Asked them to confirm instead.</b>` : `❌ <b>Failed to notify user</b>`,
+                { parse_mode: "HTML" }
+            );
+        } catch (error) {
+            logger.error('Error falling back to manual claim:', error);
+            await ctx.answerCbQuery('❌ Something broke');
+        }
+    });
+
+    // Claim buttons carry the claim ID. Buttons sent before claims existed carry
+    // the follower's Telegram ID instead, so map those onto the pair's claim.
+    async function findClaimForCallback(idArg, userId) {
+        if (/^\d+$/.test(idArg)) {
+            const followerId = parseInt(idArg);
+            const latest = await db.getLatestFollowClaim(followerId, userId);
+            if (latest) return latest;
+            const { claim } = await openFollowClaim(followerId, userId);
+            return claim;
+        }
+        return db.getFollowClaim(idArg);
+    }
+
+    const CLAIM_STATUS_LABELS = {
+        confirmed: '✅ Already confirmed',
+        denied: '❌ Already denied',
+        expired: '⌛ This claim expired'
+    };
+
+    bot.action(/^confirm_follow_(\w+)$/, async (ctx) => {
         const userId = ctx.from.id; // The person being followed
 
         try {
+            const pending = await findClaimForCallback(ctx.match[1], userId);
+            if (!pending || pending.target_id !== userId) {
+                return ctx.answerCbQuery('❌ Claim not found');
+            }
+            // The claimant hasn't sent their screenshot yet: nothing to judge
+            if (pending.status === 'pending' && pending.awaiting_proof) {
+                return ctx.answerCbQuery("⏳ Still waiting on their screenshot");
+            }
+
+            const followerId = pending.claimant_id;
             const follower = db.getUser(followerId);
             const me = db.getUser(userId);
 
@@ -344,15 +447,14 @@ export function setupHandlers(bot) {
                 return ctx.answerCbQuery('❌ User missing');
             }
 
-            await db.incrementProfilesFollowed(followerId);
-            await db.addVerifiedFollow(followerId, userId); // Record verified follow
-
-            // Check for mutual follow
-            const isMutual = db.hasUserFollowed(userId, followerId);
-            if (isMutual) {
-                await db.recordMutualFollow(followerId, userId);
+            const claim = await db.resolveFollowClaim(pending._id, 'confirmed', { confirmed_by: 'target' });
+            if (!claim) {
+                const current = await db.getFollowClaim(pending._id);
+                return ctx.answerCbQuery(CLAIM_STATUS_LABELS[current?.status] || '❌ Claim not found');
             }
 
+            const isMutual = await applyConfirmedFollow(followerId, userId);
+
             // Notify the follower
             try {
                 let msg = `🎉 <b>Confirmed!</b>\n\n` +
@@ -363,7 +465,7 @@ export function setupHandlers(bot) {
                     msg += `\n\n🤝 <b>It's a Mutual!</b> You both follow each other.`;
                 }
 
-                await bot.telegram.sendMessage(followerId, msg, { parse_mode: "HTML" });
+                await outbox.sendMessage(followerId, msg, { parse_mode: "HTML" });
             } catch (e) { }
 
             await ctx.answerCbQuery('✅ Confirmed!');
@@ -381,33 +483,52 @@ export function setupHandlers(bot) {
         }
     });
 
-    bot.action(/^deny_follow_(\d+)$/, async (ctx) => {
-        const followerId = parseInt(ctx.match[1]);
+    bot.action(/^deny_follow_(\w+)$/, async (ctx) => {
         const userId = ctx.from.id;
 
         try {
+            const pending = await findClaimForCallback(ctx.match[1], userId);
+            if (!pending || pending.target_id !== userId) {
+                return ctx.answerCbQuery('❌ Claim not found');
+            }
+            // The claimant hasn't sent their screenshot yet: nothing to judge
+            if (pending.status === 'pending' && pending.awaiting_proof) {
+                return ctx.answerCbQuery("⏳ Still waiting on their screenshot");
+            }
+
+            const followerId = pending.claimant_id;
             const follower = db.getUser(followerId);
+            const target = db.getUser(userId);
 
             if (!follower) return ctx.answerCbQuery('❌ User gone');
 
-            const warnings = await db.addWarning(followerId);
+            const claim = await db.resolveFollowClaim(pending._id, 'denied', { warning_issued: true });
+            if (!claim) {
+                const current = await db.getFollowClaim(pending._id);
+                return ctx.answerCbQuery(CLAIM_STATUS_LABELS[current?.status] || '❌ Claim not found');
+            }
+
+            const warnings = await issueWarning(followerId, `@${target?.x_username || userId} said they didn't follow`, userId);
 
             // Notify the liar
             try {
-                await bot.telegram.sendMessage(
+                await outbox.sendMessage(
                     followerId,
                     `⚠️ <b>Follow Not Found</b>\n\n` +
                     `User said you didn't follow.\n` +
                     `Please actually follow before clicking "I Followed".\n\n` +
-                    `⚠️ Warning ${warnings}/${MAX_WARNINGS}`,
-                    { parse_mode: "HTML" }
+                    `⚠️ Warning ${warnings}/${MAX_WARNINGS}\n\n` +
+                    `<i>Did follow? Dispute it with a screenshot within ${DISPUTE_WINDOW_HOURS}h.</i>`,
+                    {
+                        parse_mode: "HTML",
+                        ...Markup.inlineKeyboard([
+                            [Markup.button.callback('🧐 Dispute', `dispute_${claim._id}`)]
+                        ])
+                    }
                 );
             } catch (e) { }
 
-            if (warnings >= MAX_WARNINGS) {
-                // Auto-ban logic could go here, or just notify admin
-                await bot.telegram.sendMessage(ADMIN_GROUP_ID, `🚨 <b>User Hit Max Warnings</b>\nUser: @${follower.x_username} (ID: ${followerId})`, { parse_mode: "HTML" });
-            }
+            await escalate(followerId);
 
             await ctx.answerCbQuery('❌ Marked as not followed.');
             await ctx.editMessageText(
@@ -422,6 +543,106 @@ export function setupHandlers(bot) {
         }
     });
 
+    // ===========================
+    // DENIAL DISPUTES
+    // ===========================
+    bot.action(/^dispute_([a-f0-9]{24})$/, async (ctx) => {
+        const userId = ctx.from.id;
+
+        try {
+            const claim = await db.getFollowClaim(ctx.match[1]);
+
+            if (!claim || claim.claimant_id !== userId || claim.status !== 'denied') {
+                return ctx.answerCbQuery('❌ Nothing to dispute');
+            }
+            if (claim.dispute?.status) {
+                return ctx.answerCbQuery('⏳ Already disputed');
+            }
+            if (Date.now() - new Date(claim.resolved_at).getTime() > DISPUTE_WINDOW_HOURS * 60 * 60 * 1000) {
+                return ctx.answerCbQuery('⌛ Dispute window closed');
+            }
+
+            const target = db.getUser(claim.target_id);
+            if (!target) return ctx.answerCbQuery('❌ User gone');
+
+            sessionManager.createSession(userId);
+            sessionManager.updateSession(userId, { step: "dispute_screenshot", disputeClaimId: claim._id.toString() });
+
+            await ctx.answerCbQuery();
+            await ctx.reply(
+                `🧐 <b>Dispute</b>\n\n` +
+                `Send a screenshot of @${escapeHtml(target.x_username)}'s X profile ` +
+                `with the <b>Following</b> button visible.\n\n` +
+                `An admin will review it. Type /cancel to stop.`,
+                { parse_mode: "HTML" }
+            );
+        } catch (error) {
+            logger.error('Error opening dispute:', error);
+            await ctx.answerCbQuery('❌ Something broke');
+        }
+    });
+
+    bot.action(/^dispute_(uphold|overturn)_([a-f0-9]{24})$/, async (ctx) => {
+        if (!can(ctx.from.id, 'verify')) return ctx.answerCbQuery("⚠️ Admin only");
+
+        const outcome = ctx.match[1] === 'overturn' ? 'overturned' : 'upheld';
+
+        try {
+            const claim = await db.resolveClaimDispute(ctx.match[2], outcome, ctx.from.id);
+            if (!claim) return ctx.answerCbQuery("⚠️ Already decided");
+            await audit(ctx.from.id, outcome === 'overturned' ? 'dispute_overturn' : 'dispute_uphold', {
+                target: claim.claimant_id,
+                params: { claim_id: String(claim._id), denied_by: claim.target_id }
+            });
+
+            const claimant = db.getUser(claim.claimant_id);
+            const denier = db.getUser(claim.target_id);
+            const claimantHandle = escapeHtml(claimant?.x_username || claim.claimant_id);
+            const denierHandle = escapeHtml(denier?.x_username || claim.target_id);
+
+            if (outcome === 'overturned') {
+                const warnings = await rollbackWarning(claim.claimant_id, "Follow denial overturned on dispute", claim.resolved_at, ctx.from.id);
+                await applyConfirmedFollow(claim.claimant_id, claim.target_id);
+                const falseDenials = await db.flagFalseDenial(claim.target_id);
+
+                await outbox.deliver('sendMessage', claim.claimant_id, [
+                    `✅ <b>Dispute Won</b>\n\n` +
+                    `Admins checked your screenshot: you did follow @${denierHandle}.\n` +
+                    `Warning removed (${warnings}/${MAX_WARNINGS}) and follow counted. 📈`,
+                    { parse_mode: "HTML" }
+                ]);
+                await outbox.deliver('sendMessage', claim.target_id, [
+                    `⚠️ <b>Heads up</b>\n\n` +
+                    `You said @${claimantHandle} didn't follow, but admins found they did.\n` +
+                    `Please check properly before tapping "Nope".`,
+                    { parse_mode: "HTML" }
+                ]);
+
+                await ctx.answerCbQuery("✅ Overturned");
+                await ctx.editMessageCaption(
+                    ctx.callbackQuery.message.caption +
+                    `\n\n✅ <b>OVERTURNED</b> — warning rolled back, @${denierHandle} flagged (${falseDenials} false denial${falseDenials === 1 ? '' : 's'})`,
+                    { parse_mode: "HTML", ...Markup.inlineKeyboard([]) }
+                );
+            } else {
+                await outbox.deliver('sendMessage', claim.claimant_id, [
+                    `❌ <b>Dispute Rejected</b>\n\n` +
+                    `Admins reviewed your screenshot and the denial stands.`,
+                    { parse_mode: "HTML" }
+                ]);
+
+                await ctx.answerCbQuery("❌ Upheld");
+                await ctx.editMessageCaption(
+                    ctx.callbackQuery.message.caption + `\n\n❌ <b>DENIAL UPHELD</b>`,
+                    { parse_mode: "HTML", ...Markup.inlineKeyboard([]) }
+                );
+            }
+        } catch (error) {
+            logger.error('Error resolving dispute:', error);
+            await ctx.answerCbQuery('❌ Error resolving dispute');
+        }
+    });
+
     bot.action(/^skip_(\d+)$/, async (ctx) => {
         const userId = ctx.from.id;
         try {
@@ -446,85 +667,266 @@ export function setupHandlers(bot) {
         }
     });
 
-    // ADMIN ACTIONS
-    bot.action(/^verify_(\d+)$/, async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return ctx.answerCbQuery("⚠️ Admin only");
+    // ===========================
+    // PROFILE REPORTS
+    // ===========================
+    bot.action(/^report_(\d+)$/, async (ctx) => {
+        const profileUserId = parseInt(ctx.match[1]);
 
-        const targetId = parseInt(ctx.match[1]);
-        const session = sessionManager.getSession(targetId);
-        const username = session?.username || "Unknown";
+        if (!db.getUser(ctx.from.id) || !db.getUser(profileUserId)) {
+            return ctx.answerCbQuery('❌ User gone or missing data');
+        }
+
+        // Swap the card's buttons for the reason picker
+        const buttons = REPORT_REASONS.map(reason => [
+            Markup.button.callback(REPORT_REASON_LABELS[reason], `report_${reason}_${profileUserId}`)
+        ]);
+        buttons.push([Markup.button.callback('↩️ Cancel', `report_cancel_${profileUserId}`)]);
+
+        await ctx.answerCbQuery('🚩 What\'s wrong with it?');
+        await ctx.editMessageReplyMarkup(Markup.inlineKeyboard(buttons).reply_markup);
+    });
+
+    bot.action(/^report_cancel_(\d+)$/, async (ctx) => {
+        const profile = db.getUser(parseInt(ctx.match[1]));
+        await ctx.answerCbQuery();
+        await ctx.editMessageReplyMarkup(profile ? buildProfileKeyboard(profile).reply_markup : undefined);
+    });
+
+    bot.action(new RegExp(`^report_(${REPORT_REASONS.join('|')})_(\\d+)$`), async (ctx) => {
+        const reason = ctx.match[1];
+        const profileUserId = parseInt(ctx.match[2]);
+        const userId = ctx.from.id;
 
         try {
-            await db.addUser(targetId, "Verified User", username);
+            if (!db.getUser(userId) || !db.getUser(profileUserId)) {
+                return ctx.answerCbQuery('❌ User gone or missing data');
+            }
+            if (profileUserId === userId) {
+                return ctx.answerCbQuery('❌ That\'s you');
+            }
+
+            const { created } = await fileReport(userId, profileUserId, reason);
+            await ctx.answerCbQuery(created ? '🚩 Reported. Thanks!' : '🚩 Already reported');
+
+            await ctx.editMessageCaption(
+                ctx.callbackQuery.message.caption + `\n\n🚩 <i>Reported: ${REPORT_REASON_LABELS[reason]}</i>`,
+                {
+                    parse_mode: "HTML",
+                    ...Markup.inlineKeyboard([])
+                }
+            );
+        } catch (error) {
+            logger.error('Error reporting profile:', error);
+            await ctx.answerCbQuery('❌ Could not send report');
+        }
+    });
+
+    // ===========================
+    // VERIFICATION REVIEW
+    // ===========================
+    // Approves or rejects a pending request and tells the user.
+    // Returns null if someone else already decided it.
+    async function reviewVerificationRequest(request, approve, reviewerId, via, rejection = { code: 'custom', note: null }) {
+        const resolved = await db.resolveVerificationRequest(
+            request._id,
+            approve ? 'approved' : 'rejected',
+            reviewerId,
+            via,
+            approve ? {} : { rejection }
+        );
+        if (!resolved) return null;
+
+        // Only touch the session if it's still the one waiting on this review
+        const waiting = sessionManager.sessions.get(resolved.user_id)?.step === "done";
 
-            await bot.telegram.sendMessage(
-                targetId,
+        if (approve) {
+            await db.addUser(resolved.user_id, resolved.telegram_name || "Verified User", resolved.x_username);
+            await outbox.deliver('sendMessage', resolved.user_id, [
                 `✅ <b>Verified!</b>\n\n` +
-                `🐦 @${escapeHtml(username)}\n` +
+                `🐦 @${escapeHtml(resolved.x_username)}\n` +
                 `⏰ ${new Date().toLocaleString()}\n\n` +
                 `🎉 You're in!\n\n` +
                 `Admin will send you profiles soon. ` +
                 `Follow 'em to grow! 🚀`,
                 { parse_mode: "HTML" }
-            );
+            ]);
+            if (waiting) sessionManager.deleteSession(resolved.user_id);
+        } else {
+            await outbox.deliver('sendPhoto', resolved.user_id, [
+                { source: "assets/example_screenshot.png" },
+                { caption: buildRejectionMessage(rejection.code, rejection.note), parse_mode: "HTML" }
+            ]);
+            if (waiting) {
+                // Same username is fine: let them just send a better screenshot
+                if (REJECTION_REASONS[rejection.code]?.restart) {
+                    sessionManager.deleteSession(resolved.user_id);
+                } else {
+                    // A fresh set of tries: the rejection told them what to fix
+                    sessionManager.updateSession(resolved.user_id, { step: "screenshot", attempts: 0 });
+                }
+            }
+        }
 
-            await ctx.answerCbQuery("✅ Verified");
-            await ctx.editMessageCaption(
-                ctx.callbackQuery.message.caption + `\n\n✅ <b>VERIFIED</b>`,
-                { parse_mode: "HTML", ...Markup.inlineKeyboard([]) }
-            );
+        await audit(reviewerId, approve ? 'verify' : 'decline', {
+            target: resolved.user_id,
+            params: {
+                request_id: String(resolved._id),
+                username: resolved.x_username,
+                via,
+                ...(approve ? {} : { reason: rejection.code, note: rejection.note })
+            }
+        });
 
-            sessionManager.deleteSession(targetId);
+        return resolved;
+    }
 
-        } catch (error) {
-            logger.error("Error verifying user:", error);
-            ctx.answerCbQuery("❌ Error verifying user");
+    // Marks the decision on the card the button was on, and on the tracked
+    // admin-group card if that's a different message (e.g. reviewed from /pending).
+    async function closeReviewCards(ctx, request, status) {
+        const message = ctx.callbackQuery?.message;
+        const suffix = `\n\n${status}`;
+
+        if (message) {
+            if (message.caption !== undefined) {
+                await ctx.editMessageCaption(message.caption + suffix, { parse_mode: "HTML", ...Markup.inlineKeyboard([]) });
+            } else {
+                await ctx.editMessageText(message.text + suffix, { parse_mode: "HTML", ...Markup.inlineKeyboard([]) });
+            }
         }
-    });
 
-    bot.action(/^decline_(\d+)$/, async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return ctx.answerCbQuery("⚠️ Admin only");
+        const sameCard = message && message.chat.id === request.review_chat_id && message.message_id === request.review_message_id;
+        if (request.review_message_id && !sameCard) {
+            await bot.telegram.editMessageCaption(
+                request.review_chat_id,
+                request.review_message_id,
+                undefined,
+                buildReviewCard(request).caption + suffix,
+                { parse_mode: "HTML", reply_markup: { inline_keyboard: [] } }
+            ).catch(error => logger.log("Could not update review card:", error.message));
+        }
+    }
 
-        const targetId = parseInt(ctx.match[1]);
+    function rejectionStatus(rejection) {
+        const label = REJECTION_REASONS[rejection.code]?.label || rejection.code;
+        return `❌ <b>REJECTED</b> — ${label}` + (rejection.note ? `: ${escapeHtml(rejection.note)}` : '');
+    }
 
-        try {
-            await bot.telegram.sendMessage(
-                targetId,
-                `❌ <b>Verification Rejected</b>\n\n` +
-                `Didn't pass check.\n\n` +
-                `<b>Why?</b>\n` +
-                `• Screenshot didn't show "Following"\n` +
-                `• Username mismatch\n` +
-                `• Blurry/Edited\n` +
-                `• You didn't follow @${escapeHtml(OWNER_X)}\n\n` +
-                `Type /start to try again.`,
-                { parse_mode: "HTML" }
-            );
+    // Buttons posted before requests were stored carry a Telegram user ID instead
+    async function findRequestForCallback(id) {
+        if (/^\d+$/.test(id)) return db.getOpenVerificationRequestFor(parseInt(id));
+        return db.getVerificationRequest(id);
+    }
 
-            await ctx.answerCbQuery("❌ Rejected");
-            await ctx.editMessageCaption(
-                ctx.callbackQuery.message.caption + `\n\n❌ <b>REJECTED</b>`,
-                { parse_mode: "HTML", ...Markup.inlineKeyboard([]) }
-            );
+    async function answerAlreadyDecided(ctx, requestId) {
+        const current = await db.getVerificationRequest(requestId);
+        return ctx.answerCbQuery(current ? `⚠️ Already decided: ${describeRequestState(current)}` : "❌ Request not found");
+    }
+
+    // ADMIN ACTIONS
+    bot.action(/^verify_(\w+)$/, async (ctx) => {
+        if (!can(ctx.from.id, 'verify')) return ctx.answerCbQuery("⚠️ Admin only");
+
+        try {
+            const request = await findRequestForCallback(ctx.match[1]);
+            if (!request) return ctx.answerCbQuery("❌ Request not found");
 
-            sessionManager.deleteSession(targetId);
+            const resolved = await reviewVerificationRequest(request, true, ctx.from.id, 'button');
+            if (!resolved) return answerAlreadyDecided(ctx, request._id);
 
+            await ctx.answerCbQuery("✅ Verified");
+            await closeReviewCards(ctx, resolved, `✅ <b>VERIFIED</b>`);
         } catch (error) {
-            logger.error("Error rejecting user:", error);
-            ctx.answerCbQuery("❌ Error rejecting user");
+            logger.error("Error verifying user:", error);
+            ctx.answerCbQuery("❌ Error verifying user");
         }
     });
 
+    // Reject doesn't decide yet: it swaps in the reason picker
+    bot.action(/^decline_(\w+)$/, async (ctx) => {
+        if (!can(ctx.from.id, 'verify')) return ctx.answerCbQuery("⚠️ Admin only");
+
+        const request = await findRequestForCallback(ctx.match[1]);
+        if (!request) return ctx.answerCbQuery("❌ Request not found");
+        if (request.state !== 'pending') return answerAlreadyDecided(ctx, request._id);
+
+        await ctx.answerCbQuery("Why reject?");
+        await ctx.editMessageReplyMarkup(buildRejectionPicker(request._id).reply_markup);
+    });
+
+    bot.action(/^vrej_back_([a-f0-9]{24})$/, async (ctx) => {
+        if (!can(ctx.from.id, 'verify')) return ctx.answerCbQuery("⚠️ Admin only");
+
+        const request = await db.getVerificationRequest(ctx.match[1]);
+        if (!request) return ctx.answerCbQuery("❌ Request not found");
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageReplyMarkup(buildReviewCard(request).extra.reply_markup);
+    });
+
+    bot.action(new RegExp(`^vrej_(${Object.keys(REJECTION_REASONS).join('|')})_([a-f0-9]{24})$`), async (ctx) => {
+        if (!can(ctx.from.id, 'verify')) return ctx.answerCbQuery("⚠️ Admin only");
+
+        const code = ctx.match[1];
+
+        try {
+            const request = await db.getVerificationRequest(ctx.match[2]);
+            if (!request) return ctx.answerCbQuery("❌ Request not found");
+            if (request.state !== 'pending') return answerAlreadyDecided(ctx, request._id);
+
+            if (code === 'custom') {
+                await ctx.answerCbQuery();
+                const prompt = await ctx.reply(
+                    `✍️ Reply to this message with the note for @${escapeHtml(request.x_username)}. They'll see it word for word.\n` +
+                    `Type /cancel to stop. Expires in ${REJECT_NOTE_TIMEOUT_MINUTES} min.`,
+                    { parse_mode: "HTML" }
+                );
+                // Only a reply to this prompt counts, so other chatter can't become the note
+                resetSession(ctx.from.id);
+                sessionManager.updateSession(ctx.from.id, {
+                    step: "reject_note",
+                    rejectRequestId: String(request._id),
+                    rejectPrompt: { chat_id: prompt.chat.id, message_id: prompt.message_id, at: Date.now() }
+                });
+                return;
+            }
+
+            const rejection = { code, note: null };
+            const resolved = await reviewVerificationRequest(request, false, ctx.from.id, 'button', rejection);
+            if (!resolved) return answerAlreadyDecided(ctx, request._id);
+
+            await ctx.answerCbQuery("❌ Rejected");
+            await closeReviewCards(ctx, resolved, rejectionStatus(rejection));
+        } catch (error) {
+            logger.error("Error rejecting user:", error);
+            ctx.answerCbQuery("❌ Error rejecting user");
+        }
+    });
+
+    bot.action(/^vreq_show_([a-f0-9]{24})$/, async (ctx) => {
+        if (!can(ctx.from.id, 'verify')) return ctx.answerCbQuery("⚠️ Admin only");
+
+        const request = await db.getVerificationRequest(ctx.match[1]);
+        if (!request || request.state !== 'pending') {
+            return ctx.answerCbQuery(request ? `⚠️ Already decided: ${describeRequestState(request)}` : "❌ Request not found");
+        }
+
+        await ctx.answerCbQuery();
+        await sendReviewCard(ctx.chat.id, request, "Pending Verification");
+    });
+
+    // ===========================
+    // BOT COMMANDS
     // ===========================
-    // BOT COMMANDS
-    // ===========================
     bot.start(async (ctx) => {
         const userId = ctx.from.id;
 
-        if (userId === ADMIN_ID) {
+        const role = getRole(userId);
+        if (role) {
             return ctx.reply(
                 `👑 <b>Welcome Boss!</b>\n\n` +
-                `You are the admin. You have full access.\n` +
+                `You're on the team as ${ROLE_LABELS[role]}.\n` +
+                `You can: ${ROLE_PERMISSIONS[role].join(", ")}.\n` +
                 `Type /admin for the dashboard.`,
                 { parse_mode: "HTML" }
             );
@@ -566,7 +968,7 @@ export function setupHandlers(bot) {
             return ctx.reply("⚠️ Session expired. /start again.");
         }
 
-        session.step = "screenshot";
+        sessionManager.updateSession(userId, { step: "screenshot" });
         await ctx.replyWithPhoto(
             { source: "assets/example_screenshot.png" },
             {
@@ -574,7 +976,10 @@ export function setupHandlers(bot) {
                     `📸 <b>Bet. Send the screenshot.</b>\n\n` +
                     `Show you follow @${escapeHtml(OWNER_X)}.\n` +
                     `Make sure "Following" is visible.\n` +
-                    `See the example above for the required layout.`,
+                    `See the example above for the required layout.\n\n` +
+                    `Also works: your own Following list with @${escapeHtml(OWNER_X)} in it, ` +
+                    `or @${escapeHtml(OWNER_X)}'s Followers list showing you (an admin checks that one).\n` +
+                    `Several shots at once? Send them as an album, the best one counts.`,
                 parse_mode: "HTML"
             }
         );
@@ -588,16 +993,16 @@ export function setupHandlers(bot) {
 
     bot.command("status", async (ctx) => {
         const user = db.getUser(ctx.from.id);
-        const isAdmin = ctx.from.id === ADMIN_ID;
+        const isStaff = isAdmin(ctx.from.id);
 
-        if (!user?.verified && !isAdmin) {
+        if (!user?.verified && !isStaff) {
             return ctx.reply(
                 "❌ Not verified yet.\n\n" +
                 "Type /start to join."
             );
         }
 
-        if (isAdmin && !user) {
+        if (isStaff && !user) {
             return ctx.reply("👑 <b>Status: ADMIN</b>\n\nYou are the boss.", { parse_mode: "HTML" });
         }
 
@@ -622,16 +1027,16 @@ export function setupHandlers(bot) {
 
     bot.command("profile", async (ctx) => {
         const user = db.getUser(ctx.from.id);
-        const isAdmin = ctx.from.id === ADMIN_ID;
+        const isStaff = isAdmin(ctx.from.id);
 
-        if (!user?.verified && !isAdmin) {
+        if (!user?.verified && !isStaff) {
             return ctx.reply(
                 "❌ Not verified yet.\n\n" +
                 "Type /start to join."
             );
         }
 
-        if (isAdmin && !user) {
+        if (isStaff && !user) {
             return ctx.reply("👑 <b>Profile: ADMIN</b>\n\nNo profile data needed.", { parse_mode: "HTML" });
         }
 
@@ -664,11 +1069,51 @@ export function setupHandlers(bot) {
             `👥 Followed you: ${user.mutual_follows?.length || 0}\n` +
             `📨 Received: ${user.profiles_received || 0}\n` +
             `⚠️ Warnings: ${user.warnings_count || 0}/${MAX_WARNINGS}\n` +
-            `⏭️ Skips today: ${user.skips_count || 0}/${MAX_SKIPS_PER_DAY}`,
+            `⏭️ Skips today: ${user.skips_count || 0}/${MAX_SKIPS_PER_DAY}` +
+            (isSuspended(user) ? `\n⛔ Suspended until ${new Date(user.suspended_until).toUTCString()}` : ''),
             { parse_mode: "HTML" }
         );
     });
 
+    bot.command("claims", async (ctx) => {
+        const userId = ctx.from.id;
+        const user = db.getUser(userId);
+        if (!user) return ctx.reply("❌ Not verified.");
+
+        const [mine, theirs] = await Promise.all([
+            db.getPendingClaimsBy(userId),
+            db.getPendingClaimsFor(userId)
+        ]);
+
+        if (mine.length === 0 && theirs.length === 0) {
+            return ctx.reply("✅ No pending follow claims.");
+        }
+
+        const handleOf = (id) => escapeHtml(db.getUser(id)?.x_username || String(id));
+
+        let msg = `🧾 <b>Pending Follow Claims</b>\n\n`;
+
+        if (mine.length > 0) {
+            msg += `<b>You said you followed:</b>\n` +
+                mine.map(c =>
+                    `• @${handleOf(c.target_id)} — expires ${new Date(c.expires_at).toLocaleDateString()}`
+                ).join("\n") + `\n\n`;
+        }
+
+        if (theirs.length > 0) {
+            msg += `<b>Waiting on you:</b>\n` +
+                theirs.map(c => `• @${handleOf(c.claimant_id)}`).join("\n");
+        }
+
+        // One confirm/deny row per claim waiting on this user
+        const buttons = theirs.slice(0, 10).map(c => [
+            Markup.button.callback(`✅ @${db.getUser(c.claimant_id)?.x_username || c.claimant_id}`, `confirm_follow_${c._id}`),
+            Markup.button.callback('❌ Nope', `deny_follow_${c._id}`)
+        ]);
+
+        await ctx.reply(msg, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+    });
+
     bot.command("rules", async (ctx) => {
         await ctx.reply(
             `📘 <b>Rules</b>\n\n` +
@@ -716,7 +1161,7 @@ export function setupHandlers(bot) {
     });
 
     bot.command("help", async (ctx) => {
-        const isAdmin = ctx.from.id === ADMIN_ID;
+        const isStaff = isAdmin(ctx.from.id);
 
         let helpMsg =
             `🆘 <b>Help</b>\n\n` +
@@ -725,25 +1170,40 @@ export function setupHandlers(bot) {
             `/status - Check status\n` +
             `/profile - View profile\n` +
             `/stats - View stats\n` +
+            `/claims - Pending follow claims\n` +
             `/rules - Read rules\n` +
             `/leave - Leave network\n` +
             `/cancel - Cancel action\n` +
             `/help - This message\n\n`;
 
-        if (isAdmin) {
+        if (isStaff) {
             helpMsg +=
                 `<b>Admin:</b>\n` +
                 `/admin - Dashboard\n` +
                 `/adminstats - Stats\n` +
                 `/distribute [n] - Send profiles\n` +
                 `/send_to @user [n] - Send to one\n` +
+                `/match_debug @user [n] - Why these picks\n` +
+                `/pending - Open verifications\n` +
                 `/verify @user - Verify manual\n` +
                 `/ban @user - Ban hammer\n` +
                 `/broadcast - Send msg\n` +
+                `/schedules - Auto distributions\n` +
+                `/schedule_add n cron - New schedule\n` +
                 `/reset_matches - Reset history\n` +
                 `/list_users - List all\n\n`;
         }
 
+        if (isOwner(ctx.from.id)) {
+            helpMsg +=
+                `<b>Owner:</b>\n` +
+                `/admins - Team roster\n` +
+                `/admin_add id role - Add or change role\n` +
+                `/admin_remove id - Remove from team\n` +
+                `/audit [@user] [action:x] [since:date] [export] - Audit log\n` +
+                `/policy [setting value] - Auto-verify policy\n\n`;
+        }
+
         helpMsg += `<b>Support?</b> DM @${escapeHtml(OWNER_X)}`;
 
         await ctx.reply(helpMsg, { parse_mode: "HTML" });
@@ -758,9 +1218,9 @@ export function setupHandlers(bot) {
 
     async function showUserDashboard(ctx, isEdit = false) {
         const user = db.getUser(ctx.from.id);
-        const isAdmin = ctx.from.id === ADMIN_ID;
+        const isStaff = isAdmin(ctx.from.id);
 
-        if (!user?.verified && !isAdmin) return ctx.reply("❌ Not verified. /start to join.");
+        if (!user?.verified && !isStaff) return ctx.reply("❌ Not verified. /start to join.");
 
         const name = user ? escapeHtml(user.telegram_name) : "Boss";
         const msg = `🚀 <b>X Growth Dashboard</b>\n\n` +
@@ -807,7 +1267,8 @@ export function setupHandlers(bot) {
             `👥 Mutuals: ${user.mutual_follows?.length || 0}\n` +
             `📨 Received: ${user.profiles_received || 0}\n` +
             `⚠️ Warnings: ${user.warnings_count || 0}/${MAX_WARNINGS}\n` +
-            `⏭️ Skips today: ${user.skips_count || 0}/${MAX_SKIPS_PER_DAY}`;
+            `⏭️ Skips today: ${user.skips_count || 0}/${MAX_SKIPS_PER_DAY}` +
+            (isSuspended(user) ? `\n⛔ Suspended until ${new Date(user.suspended_until).toUTCString()}` : '');
 
         await ctx.editMessageText(msg, {
             parse_mode: "HTML",
@@ -823,7 +1284,9 @@ export function setupHandlers(bot) {
             `4. Don’t skip too much\n` +
             `5. Don’t unfollow\n` +
             `6. Be honest\n\n` +
-            `<i>Break rules = Ban 💀</i>`;
+            `⚠️ ${MAX_WARNINGS} warnings = ${SUSPENSION_HOURS}h suspension\n` +
+            `🌱 A warning fades after ${WARNING_DECAY_DAYS} clean days\n\n` +
+            `<i>Break rules again = Ban 💀</i>`;
 
         await ctx.editMessageText(msg, {
             parse_mode: "HTML",
@@ -857,7 +1320,7 @@ export function setupHandlers(bot) {
     });
 
     bot.command("adminstats", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!isAdmin(ctx.from.id)) return;
 
         const stats = db.getStats();
         const users = db.getVerifiedUsers();
@@ -879,7 +1342,9 @@ export function setupHandlers(bot) {
             `✅ Verified: ${stats.totalUsers}\n` +
             `🟢 Active Today: ${stats.activeToday}\n` +
             `📅 Active Week: ${stats.activeWeek}\n` +
-            `🔗 Matches: ${stats.totalMatches}\n\n` +
+            `🔗 Matches: ${stats.totalMatches}\n` +
+            `📵 Unreachable: ${stats.unreachable}\n` +
+            `🙈 Hidden (reported): ${stats.hidden}\n\n` +
             `<b>Newest:</b>\n${recentUsers || '  None'}\n\n` +
             `<b>Top Receivers:</b>\n${topReceivers || '  None'}`,
             { parse_mode: "HTML" }
@@ -887,7 +1352,7 @@ export function setupHandlers(bot) {
     });
 
     bot.command("distribute", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'distribute')) return;
 
         const args = ctx.message.text.split(" ");
         const profileCount = parseInt(args[1]) || 3;
@@ -896,45 +1361,30 @@ export function setupHandlers(bot) {
             return ctx.reply("⚠️ 1-10 profiles only.\n\nUsage: <code>/distribute 3</code>", { parse_mode: "HTML" });
         }
 
-        const users = db.getVerifiedUsers();
+        const users = db.getDistributableUsers();
 
         if (users.length < 2) {
             return ctx.reply("❌ Need 2+ users.");
         }
 
-        await ctx.reply(`📤 Sending ${profileCount} profiles to ${users.length} users...`);
-
-        let sent = 0;
-        let failed = 0;
-        let skipped = 0;
-
-        for (const user of users) {
-            const result = await sendProfilesToUser(bot, user, profileCount);
-
-            if (result.success) {
-                sent++;
-            } else if (result.reason === 'no_profiles') {
-                logger.log(`⏭️  Skipping user ${user.telegram_id} - no unmatched profiles`);
-                skipped++;
-            } else {
-                failed++;
-                logger.error(`Failed to send to ${user.telegram_id}:`, result.error || result.reason);
-            }
-
-            await new Promise(resolve => setTimeout(resolve, 50));
+        if (distributionRunner.isRunning()) {
+            return ctx.reply("⏳ A distribution is already running. Wait for it to finish.");
         }
 
-        await ctx.reply(
-            `✅ <b>Done!</b>\n\n` +
-            `📨 Sent: ${sent}\n` +
-            `⏭️  Skipped: ${skipped}\n` +
-            `❌ Failed: ${failed}`,
-            { parse_mode: "HTML" }
-        );
+        const status = await ctx.reply(`📤 Sending ${profileCount} profiles to ${users.length} users...`);
+
+        const { job } = await distributionRunner.start(bot, {
+            profileCount,
+            trigger: 'command',
+            requestedBy: ctx.from.id,
+            statusChatId: status.chat.id,
+            statusMessageId: status.message_id
+        });
+        await audit(ctx.from.id, 'distribute', { params: { profile_count: profileCount, users: users.length, job_id: String(job._id), via: 'command' } });
     });
 
     bot.command("send_to", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'distribute')) return;
 
         const args = ctx.message.text.split(" ");
 
@@ -962,7 +1412,12 @@ export function setupHandlers(bot) {
             return ctx.reply(`❌ User @${escapeHtml(targetUsername)} not found.`, { parse_mode: "HTML" });
         }
 
-        const result = await sendProfilesToUser(bot, targetUser, profileCount);
+        const result = await sendProfilesToUser(targetUser, profileCount);
+        await audit(ctx.from.id, 'send_to', {
+            target: targetUser.telegram_id,
+            params: { profile_count: profileCount, sent: result.count },
+            result: result.success ? 'ok' : (result.error || result.reason)
+        });
 
         if (result.success) {
             await ctx.reply(
@@ -976,8 +1431,68 @@ export function setupHandlers(bot) {
         }
     });
 
+    bot.command("match_debug", async (ctx) => {
+        if (!can(ctx.from.id, 'distribute')) return;
+
+        const args = ctx.message.text.split(" ");
+
+        if (args.length < 2) {
+            return ctx.reply(
+                "⚠️ <b>Usage:</b>\n" +
+                "<code>/match_debug @username 5</code>",
+                { parse_mode: "HTML" }
+            );
+        }
+
+        const targetUsername = args[1].replace("@", "").toLowerCase();
+        const limit = Math.min(parseInt(args[2]) || 5, 20);
+
+        const targetUser = db.getVerifiedUsers().find(
+            u => u.x_username.toLowerCase() === targetUsername
+        );
+
+        if (!targetUser) {
+            return ctx.reply(`❌ User @${escapeHtml(targetUsername)} not found.`, { parse_mode: "HTML" });
+        }
+
+        const ranked = await db.explainMatches(targetUser.telegram_id, limit);
+
+        if (ranked.length === 0) {
+            return ctx.reply(`⚠️ No profiles for @${escapeHtml(targetUsername)}.`, { parse_mode: "HTML" });
+        }
+
+        const lines = ranked.map((entry, i) =>
+            `${i + 1}. @${escapeHtml(entry.user.x_username)}\n` +
+            `   <code>${escapeHtml(describeScore(entry))}</code>`
+        );
+
+        await ctx.reply(
+            `🧮 <b>Next picks for @${escapeHtml(targetUsername)}</b>\n\n` +
+            lines.join("\n") +
+            `\n\n<i>Jitter changes slightly on every run.</i>`,
+            { parse_mode: "HTML" }
+        );
+    });
+
+    async function broadcastToUsers(users, message) {
+        // The outbox paces these, so queue them all at once
+        const deliveries = await Promise.all(users.map(user => outbox.deliver(
+            'sendMessage',
+            user.telegram_id,
+            [`📢 <b>Update from @${escapeHtml(OWNER_X)}:</b>\n\n${escapeHtml(message)}`, { parse_mode: "HTML" }],
+            { priority: PRIORITY_BULK }
+        )));
+
+        deliveries.forEach((delivery, i) => {
+            if (!delivery.ok) logger.error(`Failed to send to ${users[i].telegram_id}:`, delivery.error.message);
+        });
+
+        const sent = deliveries.filter(d => d.ok).length;
+        return { sent, failed: deliveries.length - sent };
+    }
+
     bot.command("broadcast", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'broadcast')) return;
 
         const message = ctx.message.text.replace("/broadcast", "").trim();
 
@@ -989,26 +1504,12 @@ export function setupHandlers(bot) {
             );
         }
 
-        const users = db.getVerifiedUsers();
-        let sent = 0;
-        let failed = 0;
+        const users = db.getDistributableUsers();
 
         await ctx.reply(`📤 Sending to ${users.length} users...`);
 
-        for (const user of users) {
-            try {
-                await bot.telegram.sendMessage(
-                    user.telegram_id,
-                    `📢 <b>Update from @${escapeHtml(OWNER_X)}:</b>\n\n${escapeHtml(message)}`,
-                    { parse_mode: "HTML" }
-                );
-                sent++;
-                await new Promise(resolve => setTimeout(resolve, 35));
-            } catch (error) {
-                failed++;
-                logger.error(`Failed to send to ${user.telegram_id}:`, error.message);
-            }
-        }
+        const { sent, failed } = await broadcastToUsers(users, message);
+        await audit(ctx.from.id, 'broadcast', { params: { message, sent, failed, via: 'command' } });
 
         await ctx.reply(
             `✅ <b>Done!</b>\n\n` +
@@ -1018,7 +1519,7 @@ export function setupHandlers(bot) {
     });
 
     bot.command("reset_matches", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'reset')) return;
 
         const args = ctx.message.text.split(" ");
 
@@ -1031,15 +1532,17 @@ export function setupHandlers(bot) {
             }
 
             await db.resetMatchHistory(user.telegram_id);
+            await audit(ctx.from.id, 'reset_matches', { target: user.telegram_id });
             await ctx.reply(`✅ Matches reset for @${escapeHtml(username)}`, { parse_mode: "HTML" });
         } else {
             await db.resetMatchHistory();
+            await audit(ctx.from.id, 'reset_matches', { params: { scope: 'all' } });
             await ctx.reply(`✅ All matches reset. Users can see old profiles again.`);
         }
     });
 
     bot.command("list_users", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!isAdmin(ctx.from.id)) return;
 
         const users = db.getVerifiedUsers();
 
@@ -1075,10 +1578,22 @@ export function setupHandlers(bot) {
     });
 
     bot.command("verify", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'verify')) return;
         const username = ctx.message.text.split(" ")[1]?.replace("@", "");
         if (!username) return ctx.reply("Usage: /verify @username");
 
+        const request = await db.findOpenVerificationRequestByHandle(username);
+        if (request) {
+            const resolved = await reviewVerificationRequest(request, true, ctx.from.id, 'command');
+            if (!resolved) {
+                // Another admin or the auto-verifier got there first
+                const current = await db.getVerificationRequest(request._id);
+                return ctx.reply(current ? `⚠️ Already decided: ${describeRequestState(current)}` : "❌ Request not found");
+            }
+            return ctx.reply(`✅ Verified @${username}`);
+        }
+
+        // No screenshot yet: verify straight from their onboarding session
         let foundId = null;
 
         for (const [id, session] of sessionManager.sessions.entries()) {
@@ -1090,49 +1605,240 @@ export function setupHandlers(bot) {
 
         if (foundId) {
             await db.addUser(foundId, "Manually Verified", username);
-            await bot.telegram.sendMessage(foundId, `✅ <b>Admin verified you!</b>`, { parse_mode: "HTML" });
+            await audit(ctx.from.id, 'verify', { target: foundId, params: { username, via: 'command' } });
+            await outbox.sendMessage(foundId, `✅ <b>Admin verified you!</b>`, { parse_mode: "HTML" });
             await ctx.reply(`✅ Verified @${username}`);
             sessionManager.deleteSession(foundId);
         } else {
-            ctx.reply("❌ User not found in pending sessions.");
+            ctx.reply("❌ User not found in pending requests or sessions.");
         }
     });
 
+    bot.command("pending", async (ctx) => {
+        if (!can(ctx.from.id, 'verify')) return;
+
+        const [requests, total] = await Promise.all([
+            db.getPendingVerificationRequests(10),
+            db.countPendingVerificationRequests()
+        ]);
+        if (requests.length === 0) return ctx.reply("✅ No pending verifications.");
+
+        const lines = requests.map(r => {
+            const waitingHours = Math.floor((Date.now() - new Date(r.created_at).getTime()) / (60 * 60 * 1000));
+            return `🐦 <b>@${escapeHtml(r.x_username)}</b> (ID: ${r.user_id}) · ${waitingHours}h ago\n` +
+                `   ❓ ${escapeHtml(r.reason || "—")}`;
+        });
+
+        const buttons = requests.map(r => [
+            Markup.button.callback(`🔍 @${r.x_username}`, `vreq_show_${r._id}`)
+        ]);
+
+        await ctx.reply(
+            `⏳ <b>Pending Verifications</b> (${total})\n\n` +
+            lines.join("\n\n") +
+            (total > requests.length ? `\n\n<i>Oldest ${requests.length} shown.</i>` : ''),
+            { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) }
+        );
+    });
+
     bot.command("ban", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'ban')) return;
         const username = ctx.message.text.split(" ")[1]?.replace("@", "");
         if (!username) return ctx.reply("Usage: /ban @username");
 
         const user = db.getVerifiedUsers().find(u => u.x_username.toLowerCase() === username.toLowerCase());
         if (user) {
-            await db.banUser(user.telegram_id);
+            await banUser(user.telegram_id, "Banned by admin", ctx.from.id);
+            await audit(ctx.from.id, 'ban', { target: user.telegram_id, params: { via: 'command' } });
             await ctx.reply(`🚫 Banned @${username}`);
         } else {
             ctx.reply("❌ User not found.");
         }
     });
 
+    // ===========================
+    // ADMIN ROSTER (OWNER ONLY)
+    // ===========================
+    bot.command("admins", async (ctx) => {
+        if (!isOwner(ctx.from.id)) return;
+
+        const lines = db.listAdmins().map(admin => {
+            const name = admin.name || db.getUser(admin.telegram_id)?.telegram_name || "—";
+            return `${ROLE_LABELS[admin.role]} <code>${admin.telegram_id}</code> ${escapeHtml(name)}`;
+        });
+
+        const roles = ADMIN_ROLES.map(role => `${ROLE_LABELS[role]}: ${ROLE_PERMISSIONS[role].join(", ")}`);
+
+        await ctx.reply(
+            `👥 <b>Admin Team</b>\n\n${lines.join("\n")}\n\n` +
+            `<b>Roles:</b>\n${roles.join("\n")}\n\n` +
+            `/admin_add id role · /admin_remove id`,
+            { parse_mode: "HTML" }
+        );
+    });
+
+    bot.command("admin_add", async (ctx) => {
+        if (!isOwner(ctx.from.id)) return;
+
+        // Either "/admin_add 12345 moderator" or a reply to their message with "/admin_add moderator"
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const replied = ctx.message.reply_to_message?.from;
+        const targetId = replied ? replied.id : parseInt(args[0]);
+        const role = (replied ? args[0] : args[1])?.toLowerCase();
+
+        if (!targetId || !ADMIN_ROLES.includes(role)) {
+            return ctx.reply(
+                `Usage: /admin_add [telegram id] [${ADMIN_ROLES.join("|")}]\n` +
+                `Or reply to their message with /admin_add [role]`
+            );
+        }
+        if (targetId === ADMIN_ID) {
+            return ctx.reply("⚠️ That's the owner from .env, their role can't change.");
+        }
+
+        const name = replied?.first_name || db.getUser(targetId)?.telegram_name || null;
+        await db.setAdmin(targetId, role, name, ctx.from.id);
+        await audit(ctx.from.id, 'admin_add', { target: targetId, params: { role } });
+        await ctx.reply(
+            `✅ <code>${targetId}</code> ${escapeHtml(name || "")} is now ${ROLE_LABELS[role]}\n` +
+            `Can: ${ROLE_PERMISSIONS[role].join(", ")}`,
+            { parse_mode: "HTML" }
+        );
+    });
+
+    bot.command("admin_remove", async (ctx) => {
+        if (!isOwner(ctx.from.id)) return;
+
+        const targetId = ctx.message.reply_to_message?.from?.id || parseInt(ctx.message.text.split(/\s+/)[1]);
+        if (!targetId) return ctx.reply("Usage: /admin_remove [telegram id]");
+        if (targetId === ADMIN_ID) {
+            return ctx.reply("⚠️ That's the owner from .env, they can't be removed.");
+        }
+
+        const removed = await db.removeAdmin(targetId);
+        if (removed) await audit(ctx.from.id, 'admin_remove', { target: targetId });
+        await ctx.reply(removed ? `🗑 Removed <code>${targetId}</code> from the team.` : "❌ Not on the team.", { parse_mode: "HTML" });
+    });
+
+    // ===========================
+    // ADMIN: AUDIT LOG (OWNER ONLY)
+    // ===========================
+    bot.command("audit", async (ctx) => {
+        if (!isOwner(ctx.from.id)) return;
+
+        let parsed;
+        try {
+            parsed = parseAuditArgs(ctx.message.text.split(/\s+/).slice(1));
+        } catch (error) {
+            return ctx.reply(
+                `❌ ${escapeHtml(error.message)}\n\n` +
+                `Usage: <code>/audit [@user|id] [action:ban] [since:2024-05-01] [until:2024-05-31] [export]</code>`,
+                { parse_mode: "HTML" }
+            );
+        }
+
+        const { filter, exportCsv } = parsed;
+
+        if (exportCsv) {
+            const entries = await db.queryAuditLog(filter, 5000);
+            if (entries.length === 0) return ctx.reply("📭 Nothing logged for that filter.");
+
+            const stamp = new Date().toISOString().slice(0, 10);
+            await ctx.replyWithDocument(
+                { source: Buffer.from(auditToCsv(entries)), filename: `audit-${stamp}.csv` },
+                { caption: `🧾 ${entries.length} audit entries` }
+            );
+            return;
+        }
+
+        const entries = await db.queryAuditLog(filter, 20);
+        if (entries.length === 0) return ctx.reply("📭 Nothing logged for that filter.");
+
+        const chunks = [];
+        let currentChunk = `🧾 <b>Audit Log</b> (newest ${entries.length})\n\n`;
+        for (const line of entries.map(formatAuditEntry)) {
+            if ((currentChunk + line).length > 4000) {
+                chunks.push(currentChunk);
+                currentChunk = "";
+            }
+            currentChunk += line + "\n";
+        }
+        chunks.push(currentChunk);
+
+        for (const chunk of chunks) {
+            await ctx.reply(chunk, { parse_mode: "HTML" });
+        }
+    });
+
+    // /policy                 - show the auto-verify policy (+ how shadow mode is doing)
+    // /policy min_ocr 70      - change one setting
+    bot.command("policy", async (ctx) => {
+        if (!isOwner(ctx.from.id)) return;
+
+        const [name, ...rest] = ctx.message.text.split(/\s+/).slice(1);
+        if (name) {
+            let updates;
+            try {
+                updates = parsePolicyUpdate(name, rest.join(" "));
+            } catch (error) {
+                return ctx.reply(
+                    `❌ ${escapeHtml(error.message)}\n\n` +
+                    `Settings:\n` +
+                    Object.entries(POLICY_SETTINGS).map(([key, s]) => `<code>/policy ${key} ${escapeHtml(s.help)}</code>`).join("\n"),
+                    { parse_mode: "HTML" }
+                );
+            }
+            await db.updateAutoVerifyPolicy(updates, ctx.from.id);
+            await audit(ctx.from.id, "policy_update", { params: updates });
+        }
+
+        const policy = db.getAutoVerifyPolicy();
+        let text = (name ? `✅ Updated.\n\n` : "") + formatPolicy(policy);
+
+        if (policy.shadow_mode) {
+            const shadow = await db.getShadowPolicyStats();
+            const total = shadow.approved + shadow.rejected + shadow.pending;
+            text += `\n🌗 <b>Shadow results</b>: ${total} would have been auto-verified\n` +
+                `   ✅ ${shadow.approved} approved · ❌ ${shadow.rejected} rejected · ⏳ ${shadow.pending} pending\n`;
+        }
+
+        text += `\n<i>Change with /policy &lt;setting&gt; &lt;value&gt;, e.g. /policy shadow on</i>`;
+        await ctx.reply(text, { parse_mode: "HTML" });
+    });
+
     // ===========================
     // ADMIN DASHBOARD
     // ===========================
     bot.command("admin", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!isAdmin(ctx.from.id)) return;
         await showAdminDashboard(ctx);
     });
 
     async function showAdminDashboard(ctx, isEdit = false) {
         const stats = db.getStats();
-        const msg = `👮‍♂️ <b>Admin Dashboard</b>\n\n` +
+        const reported = await db.countReportedProfiles();
+        const msg = `👮‍♂️ <b>Admin Dashboard</b>\n` +
+            `${ROLE_LABELS[getRole(ctx.from.id)]}\n\n` +
             `👥 Users: ${stats.totalUsers}\n` +
             `🟢 Active: ${stats.activeToday}\n` +
             `🔗 Matches: ${stats.totalMatches}\n\n` +
             `What's the move?`;
 
-        const keyboard = Markup.inlineKeyboard([
-            [Markup.button.callback('📊 Detailed Stats', 'admin_stats'), Markup.button.callback('📤 Distribute', 'admin_distribute')],
-            [Markup.button.callback('📢 Broadcast', 'admin_broadcast'), Markup.button.callback('👥 Manage Users', 'admin_users')],
-            [Markup.button.callback('🔄 Refresh', 'admin_refresh')]
-        ]);
+        // Only show what this admin's role can actually use
+        const userId = ctx.from.id;
+        const buttons = [
+            Markup.button.callback('📊 Detailed Stats', 'admin_stats'),
+            can(userId, 'distribute') && Markup.button.callback('📤 Distribute', 'admin_distribute'),
+            can(userId, 'broadcast') && Markup.button.callback('📢 Broadcast', 'admin_broadcast'),
+            can(userId, 'ban') && Markup.button.callback('👥 Manage Users', 'admin_users'),
+            can(userId, 'distribute') && Markup.button.callback('⏰ Schedules', 'admin_schedules'),
+            can(userId, 'ban') && Markup.button.callback(`🚩 Reports (${reported})`, 'admin_reports'),
+            Markup.button.callback('🔄 Refresh', 'admin_refresh')
+        ].filter(Boolean);
+
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+        const keyboard = Markup.inlineKeyboard(rows);
 
         if (isEdit) {
             try {
@@ -1148,18 +1854,18 @@ export function setupHandlers(bot) {
     }
 
     bot.action("admin_back", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!isAdmin(ctx.from.id)) return;
         await showAdminDashboard(ctx, true);
     });
 
     bot.action("admin_refresh", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!isAdmin(ctx.from.id)) return;
         await showAdminDashboard(ctx, true);
         await ctx.answerCbQuery("🔄 Refreshed");
     });
 
     bot.action("admin_stats", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!isAdmin(ctx.from.id)) return;
         const stats = db.getStats();
         const users = db.getVerifiedUsers();
 
@@ -1173,7 +1879,9 @@ export function setupHandlers(bot) {
             `👥 Verified: ${stats.totalUsers}\n` +
             `🟢 Active Today: ${stats.activeToday}\n` +
             `📅 Active Week: ${stats.activeWeek}\n` +
-            `🔗 Matches: ${stats.totalMatches}\n\n` +
+            `🔗 Matches: ${stats.totalMatches}\n` +
+            `📵 Unreachable: ${stats.unreachable}\n` +
+            `🙈 Hidden (reported): ${stats.hidden}\n\n` +
             `<b>Top Receivers:</b>\n${topReceivers || 'None'}`;
 
         await ctx.editMessageText(msg, {
@@ -1183,7 +1891,7 @@ export function setupHandlers(bot) {
     });
 
     bot.action("admin_distribute", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'distribute')) return;
 
         const msg = `📤 <b>Distribute</b>\n\n` +
             `How many per user?`;
@@ -1199,45 +1907,30 @@ export function setupHandlers(bot) {
     });
 
     bot.action(/^dist_(\d+)$/, async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'distribute')) return;
         const count = parseInt(ctx.match[1]);
 
-        await ctx.editMessageText(`⏳ Sending ${count} profiles...`);
-
-        // Reuse existing distribution logic
-        // We need to mock the context or refactor the command. 
-        // For simplicity, let's just call the logic directly.
-        const users = db.getVerifiedUsers();
-        let sent = 0;
-        let skipped = 0;
-        let failed = 0;
-
-        for (const user of users) {
-            const result = await sendProfilesToUser(bot, user, count);
-            if (result.success) sent++;
-            else if (result.reason === 'no_profiles') skipped++;
-            else failed++;
-            await new Promise(r => setTimeout(r, 50));
+        if (distributionRunner.isRunning()) {
+            return ctx.answerCbQuery("⏳ A distribution is already running");
         }
 
-        await ctx.editMessageText(
-            `✅ <b>Done!</b>\n\n` +
-            `📨 Sent: ${sent}\n` +
-            `⏭️ Skipped: ${skipped}\n` +
-            `❌ Failed: ${failed}`,
-            {
-                parse_mode: "HTML",
-                ...Markup.inlineKeyboard([[Markup.button.callback('🔙 Back', 'admin_back')]])
-            }
-        );
+        await ctx.editMessageText(`⏳ Sending ${count} profiles...`);
+
+        const { job } = await distributionRunner.start(bot, {
+            profileCount: count,
+            trigger: 'dashboard',
+            requestedBy: ctx.from.id,
+            statusChatId: ctx.callbackQuery.message.chat.id,
+            statusMessageId: ctx.callbackQuery.message.message_id
+        });
+        await audit(ctx.from.id, 'distribute', { params: { profile_count: count, job_id: String(job._id), via: 'dashboard' } });
     });
 
     bot.action("admin_broadcast", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'broadcast')) return;
 
-        resetSession(ADMIN_ID);
-        const session = sessionManager.getSession(ADMIN_ID);
-        if (session) session.step = "broadcast_msg";
+        resetSession(ctx.from.id);
+        sessionManager.updateSession(ctx.from.id, { step: "broadcast_msg" });
 
         await ctx.editMessageText(
             `📢 <b>Broadcast</b>\n\n` +
@@ -1251,7 +1944,7 @@ export function setupHandlers(bot) {
     });
 
     bot.action("admin_users", async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'ban')) return;
 
         const users = db.getVerifiedUsers().slice(0, 5); // Show top 5 recent for now
 
@@ -1272,16 +1965,18 @@ export function setupHandlers(bot) {
     });
 
     bot.action(/^ban_toggle_(\d+)$/, async (ctx) => {
-        if (ctx.from.id !== ADMIN_ID) return;
+        if (!can(ctx.from.id, 'ban')) return;
         const targetId = parseInt(ctx.match[1]);
         const user = db.getUser(targetId);
 
         if (user) {
             if (user.is_banned) {
-                await db.unbanUser(targetId);
+                await unbanUser(targetId, "Unbanned by admin", ctx.from.id);
+                await audit(ctx.from.id, 'unban', { target: targetId, params: { via: 'dashboard' } });
                 await ctx.answerCbQuery(`✅ Unbanned @${user.x_username}`);
             } else {
-                await db.banUser(targetId);
+                await banUser(targetId, "Banned by admin", ctx.from.id);
+                await audit(ctx.from.id, 'ban', { target: targetId, params: { via: 'dashboard' } });
                 await ctx.answerCbQuery(`🚫 Banned @${user.x_username}`);
             }
             // Refresh list
@@ -1307,10 +2002,435 @@ export function setupHandlers(bot) {
         }
     });
 
+    // ===========================
+    // DISTRIBUTION SCHEDULES
+    // ===========================
+    async function createScheduleFromText(adminId, text) {
+        // "<count> <cron>" e.g. "3 0 18 * * *" or "3 daily 18:00"
+        const [countArg, ...cronParts] = text.trim().split(/\s+/);
+        const profileCount = parseInt(countArg);
+
+        if (!profileCount || profileCount < 1 || profileCount > 10) {
+            throw new Error("Profile count must be 1-10");
+        }
+
+        const cron = parseCron(cronParts.join(" "));
+        const nextRun = getNextRun(cron);
+        if (!nextRun) throw new Error("Schedule never fires");
+
+        const schedule = await db.createSchedule({ cron: cron.source, profileCount, createdBy: adminId, nextRun });
+        await audit(adminId, 'schedule_add', { params: { schedule_id: String(schedule._id), cron: cron.source, profile_count: profileCount } });
+        return schedule;
+    }
+
+    function formatSchedule(schedule) {
+        const shortId = schedule._id.toString().slice(0, 6);
+        const state = schedule.paused ? "⏸ Paused" : "▶️ Active";
+        return `<code>${shortId}</code> ${state}\n` +
+            `   🗓 <code>${escapeHtml(schedule.cron)}</code> UTC · ${schedule.profile_count} profiles\n` +
+            `   ⏭ Next: ${schedule.paused || !schedule.next_run ? '—' : new Date(schedule.next_run).toUTCString()}`;
+    }
+
+    async function showSchedules(ctx, isEdit = false) {
+        const schedules = await db.listSchedules();
+
+        const msg = `⏰ <b>Distribution Schedules</b>\n\n` +
+            (schedules.length ? schedules.map(formatSchedule).join("\n\n") : "No schedules yet.");
+
+        const buttons = schedules.map(sch => {
+            const shortId = sch._id.toString().slice(0, 6);
+            return [
+                Markup.button.callback(`${sch.paused ? '▶️ Resume' : '⏸ Pause'} ${shortId}`, `sched_toggle_${sch._id}`),
+                Markup.button.callback(`🗑 Delete ${shortId}`, `sched_del_${sch._id}`)
+            ];
+        });
+        buttons.push([Markup.button.callback('➕ New Schedule', 'sched_new'), Markup.button.callback('🔙 Back', 'admin_back')]);
+
+        const extra = { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) };
+        if (isEdit) {
+            try {
+                await ctx.editMessageText(msg, extra);
+            } catch (error) {
+                if (!error.description?.includes("message is not modified")) {
+                    throw error;
+                }
+            }
+        } else {
+            await ctx.reply(msg, extra);
+        }
+    }
+
+    async function setSchedulePaused(schedule, paused, adminId) {
+        // Resuming recomputes next_run so missed slots aren't replayed
+        const nextRun = paused ? schedule.next_run : getNextRun(schedule.cron);
+        const updated = await db.updateSchedule(schedule._id, { paused, next_run: nextRun });
+        await audit(adminId, paused ? 'schedule_pause' : 'schedule_resume', { params: { schedule_id: String(schedule._id) } });
+        return updated;
+    }
+
+    bot.command("schedule_add", async (ctx) => {
+        if (!can(ctx.from.id, 'distribute')) return;
+
+        const text = ctx.message.text.replace(/^\/schedule_add(@\w+)?/, "").trim();
+
+        if (!text) {
+            return ctx.reply(
+                "⏰ <b>New Schedule</b>\n\n" +
+                "Usage: <code>/schedule_add [count] [cron]</code>\n" +
+                "<code>/schedule_add 3 0 18 * * *</code> (daily 18:00 UTC)\n" +
+                "<code>/schedule_add 3 daily 18:00</code>\n" +
+                "<code>/schedule_add 5 0 9 * * 1</code> (Mondays 09:00 UTC)",
+                { parse_mode: "HTML" }
+            );
+        }
+
+        try {
+            const schedule = await createScheduleFromText(ctx.from.id, text);
+            await ctx.reply(`✅ <b>Schedule created</b>\n\n${formatSchedule(schedule)}`, { parse_mode: "HTML" });
+        } catch (error) {
+            await ctx.reply(`❌ ${escapeHtml(error.message)}`, { parse_mode: "HTML" });
+        }
+    });
+
+    bot.command("schedules", async (ctx) => {
+        if (!can(ctx.from.id, 'distribute')) return;
+        await showSchedules(ctx);
+    });
+
+    for (const [command, paused] of [["schedule_pause", true], ["schedule_resume", false]]) {
+        bot.command(command, async (ctx) => {
+            if (!can(ctx.from.id, 'distribute')) return;
+
+            const schedule = await db.findScheduleByPrefix(ctx.message.text.split(" ")[1]);
+            if (!schedule) return ctx.reply(`Usage: /${command} [id from /schedules]`);
+
+            const updated = await setSchedulePaused(schedule, paused, ctx.from.id);
+            await ctx.reply(`${paused ? '⏸ Paused' : '▶️ Resumed'}\n\n${formatSchedule(updated)}`, { parse_mode: "HTML" });
+        });
+    }
+
+    bot.command("schedule_delete", async (ctx) => {
+        if (!can(ctx.from.id, 'distribute')) return;
+
+        const schedule = await db.findScheduleByPrefix(ctx.message.text.split(" ")[1]);
+        if (!schedule) return ctx.reply("Usage: /schedule_delete [id from /schedules]");
+
+        if (!await db.deleteSchedule(schedule._id)) return ctx.reply("⚠️ Already deleted.");
+        await audit(ctx.from.id, 'schedule_delete', { params: { schedule_id: String(schedule._id), cron: schedule.cron } });
+        await ctx.reply(`🗑 Deleted schedule <code>${schedule._id.toString().slice(0, 6)}</code>`, { parse_mode: "HTML" });
+    });
+
+    bot.action("admin_schedules", async (ctx) => {
+        if (!can(ctx.from.id, 'distribute')) return;
+        await showSchedules(ctx, true);
+    });
+
+    bot.action(/^sched_toggle_([a-f0-9]{24})$/, async (ctx) => {
+        if (!can(ctx.from.id, 'distribute')) return;
+
+        const schedule = await db.getSchedule(ctx.match[1]);
+        if (!schedule) return ctx.answerCbQuery("❌ Schedule gone");
+
+        await setSchedulePaused(schedule, !schedule.paused, ctx.from.id);
+        await ctx.answerCbQuery(schedule.paused ? "▶️ Resumed" : "⏸ Paused");
+        await showSchedules(ctx, true);
+    });
+
+    bot.action(/^sched_del_([a-f0-9]{24})$/, async (ctx) => {
+        if (!can(ctx.from.id, 'distribute')) return;
+
+        try {
+            // A double tap or a stale button finds nothing left to delete
+            const deleted = await db.deleteSchedule(ctx.match[1]);
+            if (deleted) {
+                await audit(ctx.from.id, 'schedule_delete', { params: { schedule_id: ctx.match[1] } });
+            }
+            await ctx.answerCbQuery(deleted ? "🗑 Deleted" : "⚠️ Already deleted");
+            await showSchedules(ctx, true);
+        } catch (error) {
+            logger.error("Error deleting schedule:", error);
+            ctx.answerCbQuery("❌ Error deleting schedule");
+        }
+    });
+
+    bot.action("sched_new", async (ctx) => {
+        if (!can(ctx.from.id, 'distribute')) return;
+
+        resetSession(ctx.from.id);
+        sessionManager.updateSession(ctx.from.id, { step: "schedule_new" });
+
+        await ctx.editMessageText(
+            `⏰ <b>New Schedule</b>\n\n` +
+            `Send <code>[count] [cron]</code> in UTC, e.g.\n` +
+            `<code>3 0 18 * * *</code> or <code>3 daily 18:00</code>\n\n` +
+            `Type /cancel to stop.`,
+            {
+                parse_mode: "HTML",
+                ...Markup.inlineKeyboard([[Markup.button.callback('🔙 Back', 'admin_schedules')]])
+            }
+        );
+    });
+
+    // ===========================
+    // ADMIN: MODERATION QUEUE
+    // ===========================
+    async function showReportQueue(ctx) {
+        const queue = await db.getReportQueue(5);
+
+        const lines = queue.map(entry => {
+            const user = db.getUser(entry._id);
+            const handle = user ? `@${escapeHtml(user.x_username)}` : `ID ${entry._id}`;
+            return `🚩 <b>${handle}</b> — ${entry.count} report${entry.count === 1 ? '' : 's'}` +
+                (user?.is_hidden ? ' · 🙈 hidden' : '') + `\n` +
+                `   ${summarizeReasons(entry.reasons)}`;
+        });
+
+        const msg = `🚩 <b>Reported Profiles</b>\n\n` +
+            (lines.length ? lines.join("\n\n") : "Queue is empty. 🎉");
+
+        const buttons = queue.map(entry => {
+            const label = db.getUser(entry._id)?.x_username || entry._id;
+            return [
+                Markup.button.callback(`✅ Dismiss @${label}`, `report_dismiss_${entry._id}`),
+                Markup.button.callback(`🚫 Ban`, `report_ban_${entry._id}`)
+            ];
+        });
+        buttons.push([Markup.button.callback('🔙 Back', 'admin_back')]);
+
+        try {
+            await ctx.editMessageText(msg, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+        } catch (error) {
+            if (!error.description?.includes("message is not modified")) {
+                throw error;
+            }
+        }
+    }
+
+    bot.action("admin_reports", async (ctx) => {
+        if (!can(ctx.from.id, 'ban')) return;
+        await showReportQueue(ctx);
+    });
+
+    bot.action(/^report_dismiss_(\d+)$/, async (ctx) => {
+        if (!can(ctx.from.id, 'ban')) return;
+        const targetId = parseInt(ctx.match[1]);
+
+        const resolved = await db.resolveReports(targetId, 'dismissed', ctx.from.id);
+        await db.setHidden(targetId, false);
+        if (resolved) await audit(ctx.from.id, 'dismiss_reports', { target: targetId, params: { reports: resolved } });
+        await ctx.answerCbQuery(resolved ? `✅ Dismissed ${resolved}` : "⚠️ Already handled");
+        await showReportQueue(ctx);
+    });
+
+    bot.action(/^report_ban_(\d+)$/, async (ctx) => {
+        if (!can(ctx.from.id, 'ban')) return;
+        const targetId = parseInt(ctx.match[1]);
+
+        const resolved = await db.resolveReports(targetId, 'actioned', ctx.from.id);
+        if (!resolved) {
+            await ctx.answerCbQuery("⚠️ Already handled");
+            return showReportQueue(ctx);
+        }
+
+        await banUser(targetId, "Banned after member reports", ctx.from.id);
+        await audit(ctx.from.id, 'ban', { target: targetId, params: { via: 'reports', reports: resolved } });
+        await db.setHidden(targetId, false);
+        await ctx.answerCbQuery("🚫 Banned");
+        await showReportQueue(ctx);
+    });
+
     // ===========================
     // MESSAGE HANDLERS
     // ===========================
 
+    // Runs every check on one screenshot, filling in the request fields as it
+    // goes. Nothing is stored or sent here; checkScreenshots decides what to do.
+    async function assessScreenshot(ctx, session, file, fields) {
+        const userId = ctx.from.id;
+        Object.assign(fields, { photo_file_id: file.file_id, photo_kind: file.kind });
+        const image = await downloadFile(bot.telegram, file.file_id);
+
+        // Same picture as another account's proof? Never auto-verify that
+        const fingerprint = await screenshotFingerprint(image);
+        Object.assign(fields, { photo_hash: fingerprint.hash, photo_size: fingerprint.size, photo_strip: fingerprint.strip });
+        fields.duplicate_of = await findDuplicateSubmissions(fingerprint, userId);
+        const isDuplicate = fields.duplicate_of.length > 0;
+
+        const { ret, width, height } = await recognizeScreenshot(image, ctx);
+
+        // The owner's profile, the user's own Following list, or the owner's Followers list
+        const validation = validateScreenshot(ret.data, width, height, { claimed: session.username, owner: OWNER_X });
+        const profile = extractProfile(ret.data, { width, height });
+        const confidence = ret.data.confidence;
+
+        // The owner's handle must be read exactly: off the profile's @handle line,
+        // or from the list (owner's row, or header of the owner's Followers list)
+        const readHandle = (validation.layout === "profile" ? profile.handle?.value : validation.handle) || null;
+        const hasOwner = !!readHandle && readHandle.toLowerCase() === OWNER_X.replace(/^@/, "").toLowerCase();
+
+        // A screenshot that looks edited, or couldn't be checked, needs a human
+        let tamper = null;
+        try {
+            tamper = await analyzeTampering(image, ret.data, profile, validation.layout);
+            fields.tamper = { score: tamper.score, flags: tamper.flags.map(f => f.detail) };
+        } catch (error) {
+            logger.error("Tamper analysis failed:", error);
+        }
+        const looksEdited = !tamper || tamper.score >= TAMPER_BLOCK_SCORE;
+
+        fields.ocr = {
+            is_valid: validation.isValid,
+            follow_state: validation.followState,
+            confidence,
+            owner_found: hasOwner,
+            handle: readHandle,
+            language: validation.language,
+            layout: validation.layout,
+            reason: validation.reason
+        };
+
+        const decision = evaluatePolicy(db.getAutoVerifyPolicy(), {
+            validation, ocrConfidence: confidence, hasOwner, isDuplicate, looksEdited
+        });
+        fields.policy = { mode: decision.mode, would_auto_verify: decision.wouldAutoVerify, failed: decision.failed };
+
+        return { fields, validation, confidence, readHandle, hasOwner, isDuplicate, looksEdited, tamper, decision };
+    }
+
+    // One submission: a single screenshot or every image of an album, of
+    // which the best one counts. Failed auto-checks get a hint and another
+    // try until MAX_VERIFICATION_ATTEMPTS, then go to manual review.
+    async function checkScreenshots(ctx, files) {
+        const userId = ctx.from.id;
+        const session = sessionManager.getSession(userId);
+        if (session?.step !== "screenshot") return;
+
+        const fullName = [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(' ').trim() || "Unknown";
+        const attempts = (session.attempts || 0) + 1;
+
+        // Every submission is recorded; reviews refer to it by ID from here on
+        const submission = {
+            user_id: userId,
+            telegram_name: fullName,
+            telegram_username: ctx.from.username || null,
+            x_username: session.username || "Unknown",
+            photo_file_id: files[0].file_id,
+            photo_kind: files[0].kind
+        };
+
+        await ctx.reply(files.length > 1 ? `🔍 Checking ${files.length} screenshots... one sec.` : "🔍 Checking... one sec.");
+
+        try {
+            let best = null;
+            let lastError = null;
+            for (const file of files) {
+                const fields = {};
+                try {
+                    const result = await assessScreenshot(ctx, session, file, fields);
+                    if (!best || rankScreenshot(result) > rankScreenshot(best)) best = result;
+                } catch (error) {
+                    // One unreadable image in an album shouldn't sink the rest
+                    if (files.length === 1) {
+                        Object.assign(submission, fields);
+                        throw error;
+                    }
+                    logger.error("OCR Error on album image:", error);
+                    lastError = error;
+                }
+            }
+            if (!best) throw lastError;
+
+            Object.assign(submission, best.fields);
+            const { validation, confidence, readHandle, hasOwner, isDuplicate, looksEdited, tamper, decision } = best;
+
+            if (decision.autoVerify) {
+                // AUTO-VERIFY
+                await db.addUser(userId, fullName, session.username);
+                await db.createVerificationRequest({
+                    ...submission,
+                    state: 'approved',
+                    review_via: 'auto',
+                    reviewed_at: new Date()
+                });
+
+                await ctx.reply(
+                    `✅ <b>Verified!</b>\n\n` +
+                    `🐦 @${escapeHtml(session.username)}\n` +
+                    `⏰ ${new Date().toLocaleString()}\n\n` +
+                    `🎉 You're in!\n\n` +
+                    `Admin will send you profiles soon. ` +
+                    `Follow 'em to grow! 🚀`,
+                    { parse_mode: "HTML" }
+                );
+
+                // Notify Admin of Auto-Verify
+                await outbox.sendMessage(
+                    ADMIN_GROUP_ID,
+                    `🤖 <b>Auto-Verified User</b>\n` +
+                    `👤 ${escapeHtml(fullName)} (@${escapeHtml(ctx.from.username || 'none')})\n` +
+                    `🐦 X: @${escapeHtml(session.username)}\n` +
+                    `📊 Confidence: ${Math.round(confidence)}%\n` +
+                    `✅ Layout Valid & Following`,
+                    { parse_mode: "HTML" }
+                );
+
+                sessionManager.deleteSession(userId);
+                return;
+            }
+
+            // Something the user can fix: tell them what, and let them try again
+            const hint = decision.mode === "live" ? retryHint(best) : null;
+            if (hint && attempts < MAX_VERIFICATION_ATTEMPTS) {
+                sessionManager.updateSession(userId, { attempts });
+                const left = MAX_VERIFICATION_ATTEMPTS - attempts;
+                await ctx.reply(
+                    `❌ <b>Couldn't verify that screenshot</b>\n\n` +
+                    `${hint}\n\n` +
+                    `📸 Send a new one (${left} ${left === 1 ? "try" : "tries"} left before an admin reviews it).`,
+                    { parse_mode: "HTML" }
+                );
+                return;
+            }
+
+            // MANUAL REVIEW NEEDED
+            sessionManager.updateSession(userId, { step: "done", attempts });
+            let reason = validation.reason;
+            if (validation.followState === "not_following") reason = "Detected 'Follow' button (Not Following)";
+            if (!hasOwner) reason += readHandle ? ` | Handle read as @${readHandle}, not @${OWNER_X}` : " | Owner handle not found";
+            if (looksEdited) reason = `${tamper ? `Looks edited (tamper score ${tamper.score}%)` : "Tamper check failed"} | ${reason}`;
+            if (isDuplicate) reason = `Screenshot already used by another account | ${reason}`;
+            if (decision.failed.length) reason += ` | ${decision.failed.join(" | ")}`;
+            if (decision.mode === "off") reason = `Auto-verify is off | ${reason}`;
+            if (decision.mode === "shadow" && decision.wouldAutoVerify) reason = `Shadow mode: would have auto-verified | ${reason}`;
+            if (attempts > 1) reason += ` | Attempt ${attempts}/${MAX_VERIFICATION_ATTEMPTS}`;
+            if (files.length > 1) reason += ` | Best of ${files.length} images`;
+
+            const request = await db.createVerificationRequest({ ...submission, reason });
+
+            await ctx.reply(
+                `⏳ <b>Verification Pending</b>\n\n` +
+                `Admin is reviewing your screenshot.\n` +
+                `Sit tight!`,
+                { parse_mode: "HTML" }
+            );
+
+            await sendReviewCard(ADMIN_GROUP_ID, request);
+
+        } catch (error) {
+            logger.error("OCR Error:", error);
+            sessionManager.updateSession(userId, { step: "done", attempts });
+            await ctx.reply("⚠️ Error checking image. Admin will review manually.");
+
+            // Forward to admin on error too
+            const request = await db.createVerificationRequest({
+                ...submission,
+                ocr: { ...submission.ocr, error: error.message },
+                reason: `OCR error: ${error.message}`
+            });
+            await sendReviewCard(ADMIN_GROUP_ID, request, "OCR Error - Manual Review");
+        }
+    }
+
     // ===========================
     // MESSAGE HANDLERS
     // ===========================
@@ -1318,30 +2438,17 @@ export function setupHandlers(bot) {
         const userId = ctx.from.id;
 
         // ADMIN BROADCAST HANDLER
-        const adminSession = sessionManager.getSession(ADMIN_ID);
-        if (ctx.from.id === ADMIN_ID && adminSession?.step === "broadcast_msg") {
+        const adminSession = sessionManager.getSession(userId);
+        if (adminSession?.step === "broadcast_msg" && can(userId, 'broadcast')) {
             const message = ctx.message.text;
             if (!message) return ctx.reply("Send text fam.");
 
-            const users = db.getVerifiedUsers();
-            let sent = 0;
-            let failed = 0;
+            const users = db.getDistributableUsers();
 
             await ctx.reply(`📤 Sending to ${users.length} users...`);
 
-            for (const user of users) {
-                try {
-                    await bot.telegram.sendMessage(
-                        user.telegram_id,
-                        `📢 <b>Update from @${escapeHtml(OWNER_X)}:</b>\n\n${escapeHtml(message)}`,
-                        { parse_mode: "HTML" }
-                    );
-                    sent++;
-                    await new Promise(resolve => setTimeout(resolve, 35));
-                } catch (error) {
-                    failed++;
-                }
-            }
+            const { sent, failed } = await broadcastToUsers(users, message);
+            await audit(userId, 'broadcast', { params: { message, sent, failed, via: 'dashboard' } });
 
             await ctx.reply(
                 `✅ Done!\n\n` +
@@ -1349,64 +2456,99 @@ export function setupHandlers(bot) {
                 `❌ Failed: ${failed}`
             );
 
-            sessionManager.deleteSession(ADMIN_ID);
+            sessionManager.deleteSession(userId);
+            return;
+        }
+
+        // ADMIN SCHEDULE HANDLER
+        if (adminSession?.step === "schedule_new" && can(userId, 'distribute')) {
+            const text = ctx.message.text;
+            if (!text) return ctx.reply("Send text fam.");
+
+            try {
+                const schedule = await createScheduleFromText(userId, text);
+                sessionManager.deleteSession(userId);
+                await ctx.reply(`✅ <b>Schedule created</b>\n\n${formatSchedule(schedule)}`, { parse_mode: "HTML" });
+            } catch (error) {
+                await ctx.reply(`❌ ${escapeHtml(error.message)}\n\nTry again or /cancel.`, { parse_mode: "HTML" });
+            }
             return;
         }
 
+        // ADMIN CUSTOM REJECTION NOTE
+        if (adminSession?.step === "reject_note" && can(userId, 'verify')) {
+            const prompt = adminSession.rejectPrompt || {};
+            const expired = Date.now() - (prompt.at || 0) > REJECT_NOTE_TIMEOUT_MINUTES * 60 * 1000;
+            const isAnswer = ctx.chat.id === prompt.chat_id &&
+                (ctx.chat.type === "private" || ctx.message.reply_to_message?.message_id === prompt.message_id);
+
+            if (expired) {
+                sessionManager.deleteSession(userId);
+                if (isAnswer) return ctx.reply("⌛ That note prompt expired. Pick the reason again on the review card.");
+            } else if (isAnswer) {
+                const note = ctx.message.text?.trim();
+                if (!note) return ctx.reply("Send text fam.");
+
+                sessionManager.deleteSession(userId);
+                const request = await db.getVerificationRequest(adminSession.rejectRequestId);
+                const rejection = { code: 'custom', note: note.slice(0, 500) };
+                const resolved = request && await reviewVerificationRequest(request, false, userId, 'button', rejection);
+                if (!resolved) return ctx.reply("⚠️ That request was already decided.");
+
+                await closeReviewCards(ctx, resolved, rejectionStatus(rejection));
+                await ctx.reply(`❌ Rejected @${escapeHtml(resolved.x_username)} with your note.`, { parse_mode: "HTML" });
+                return;
+            } else if (ctx.chat.type === "private") {
+                return ctx.reply("✍️ Reply to the note prompt with your note, or /cancel.");
+            }
+            // Anything else in a group is ordinary chatter: carry on below
+        }
+
         // ADMIN REPLY HANDLER (In Admin Group)
         if (ctx.chat.id === ADMIN_GROUP_ID && ctx.message.reply_to_message) {
-            if (ctx.from.id !== ADMIN_ID) return;
+            if (!can(ctx.from.id, 'verify')) return;
 
-            const reply = ctx.message.text?.toLowerCase().trim();
+            // "yes", "no" (pick a reason), "no blurry" (reason code) or "no <anything else>" (custom note)
+            const [answer, ...rest] = (ctx.message.text || "").trim().split(/\s+/);
+            const reply = answer?.toLowerCase();
             if (reply !== "yes" && reply !== "no") {
-                return ctx.reply("⚠️ Please reply with 'yes' or 'no' only.");
+                return ctx.reply("⚠️ Reply 'yes', or 'no' with an optional reason (e.g. 'no blurry').");
             }
 
-            const caption = ctx.message.reply_to_message.caption || "";
-            const idMatch = caption.match(/🆔 (\d+)/);
-            const usernameMatch = caption.match(/🐦 @?([^\n]+)/);
-            const nameMatch = caption.match(/👤 ([^\n]+)/);
-
-            if (!idMatch) {
-                return ctx.reply("⚠️ Could not extract user ID from message.");
+            const request = await db.findVerificationRequestByMessage(ctx.chat.id, ctx.message.reply_to_message.message_id);
+            if (!request) {
+                return ctx.reply("⚠️ That message isn't a verification request.");
             }
 
-            const targetId = parseInt(idMatch[1]);
-            const xUsername = usernameMatch ? usernameMatch[1].trim() : "Unknown";
-            const telegramName = nameMatch ? nameMatch[1].trim() : "Unknown";
+            const detail = rest.join(" ");
+            if (reply === "no" && !detail) {
+                if (request.state !== 'pending') {
+                    return ctx.reply(`⚠️ Already decided: ${describeRequestState(request)}`);
+                }
+                return ctx.reply(
+                    `❌ Why reject @${escapeHtml(request.x_username)}?`,
+                    { parse_mode: "HTML", ...buildRejectionPicker(request._id) }
+                );
+            }
 
             try {
-                if (reply === "yes") {
-                    await db.addUser(targetId, telegramName, xUsername);
-
-                    await bot.telegram.sendMessage(
-                        targetId,
-                        `✅ <b>Congratulations! You've been verified!</b>\n\n` +
-                        `🐦 X Username: @${escapeHtml(xUsername)}\n` +
-                        `⏰ Verified at: ${new Date().toLocaleString()}\n\n` +
-                        `🎉 You're now part of our growth network!\n\n` +
-                        `Our admin will periodically send you verified profiles to follow. ` +
-                        `Follow them to grow your X presence organically! 🚀`,
-                        { parse_mode: "HTML" }
-                    );
-
-                    await ctx.reply(`✅ Verified user: @${escapeHtml(xUsername)} (ID: ${targetId})`, { parse_mode: "HTML" });
-                } else {
-                    await bot.telegram.sendMessage(
-                        targetId,
-                        `❌ <b>Verification Rejected</b>\n\n` +
-                        `Your verification was not approved.\n\n` +
-                        `<b>Possible reasons:</b>\n` +
-                        `• Screenshot doesn't show follow confirmation\n` +
-                        `• Username doesn't match screenshot\n` +
-                        `• Screenshot is unclear or edited\n` +
-                        `• You haven't followed @${escapeHtml(OWNER_X)} yet\n\n` +
-                        `Please type /start to try again with a valid screenshot.`,
-                        { parse_mode: "HTML" }
-                    );
-
-                    await ctx.reply(`❌ Rejected user: @${escapeHtml(xUsername)} (ID: ${targetId})`, { parse_mode: "HTML" });
+                const approve = reply === "yes";
+                const code = detail.toLowerCase().replace(/\s+/g, "_");
+                const rejection = REJECTION_REASONS[code] && code !== 'custom'
+                    ? { code, note: null }
+                    : { code: 'custom', note: detail.slice(0, 500) };
+                const resolved = await reviewVerificationRequest(request, approve, userId, 'group_reply', rejection);
+
+                if (!resolved) {
+                    const current = await db.getVerificationRequest(request._id);
+                    return ctx.reply(`⚠️ Already decided: ${describeRequestState(current)}`);
                 }
+
+                await closeReviewCards(ctx, resolved, approve ? `✅ <b>VERIFIED</b>` : rejectionStatus(rejection));
+                await ctx.reply(
+                    `${approve ? '✅ Verified' : '❌ Rejected'} user: @${escapeHtml(resolved.x_username)} (ID: ${resolved.user_id})`,
+                    { parse_mode: "HTML" }
+                );
             } catch (error) {
                 logger.error("Error processing verification:", error);
                 ctx.reply("⚠️ Error processing verification. User may have blocked the bot.");
@@ -1423,6 +2565,144 @@ export function setupHandlers(bot) {
             return ctx.reply("👋 Type /start to get verified!");
         }
 
+        // FOLLOW PROOF SCREENSHOT
+        if (session.step === "follow_proof" && ctx.message.photo) {
+            const claim = await db.getFollowClaim(session.proofClaimId);
+            sessionManager.deleteSession(userId);
+
+            const target = claim && db.getUser(claim.target_id);
+            if (!claim || claim.status !== 'pending' || !claim.awaiting_proof || !target) {
+                return ctx.reply("⚠️ That follow claim is no longer open.");
+            }
+
+            const photo = ctx.message.photo[ctx.message.photo.length - 1].file_id;
+            await ctx.reply("🔍 Checking... one sec.");
+
+            let failure;
+            try {
+                const { ret, width, height } = await recognizeScreenshot(await downloadFile(bot.telegram, photo), ctx);
+                const validation = validateProfileLayout(ret.data, width, height);
+
+                if (!validation.isValid) {
+                    failure = validation.reason;
+                } else if (!handlesMatch(validation.handle, target.x_username)) {
+                    failure = `Couldn't read @${target.x_username} on the profile`;
+                } else if (validation.followState !== "following") {
+                    failure = `Button doesn't say "Following"`;
+                }
+            } catch (error) {
+                logger.error("Follow proof OCR Error:", error);
+                failure = "Couldn't read the image";
+            }
+
+            if (!failure) {
+                const confirmed = await db.resolveFollowClaim(claim._id, 'confirmed', { confirmed_by: 'screenshot', awaiting_proof: false });
+                if (!confirmed) return ctx.reply("⚠️ That follow claim is no longer open.");
+
+                const isMutual = await applyConfirmedFollow(userId, target.telegram_id);
+                const me = db.getUser(userId);
+
+                await ctx.reply(
+                    `🎉 <b>Verified by screenshot!</b>\n\n` +
+                    `Your follow on @${escapeHtml(target.x_username)} counts. 📈` +
+                    (isMutual ? `\n\n🤝 <b>It's a Mutual!</b> You both follow each other.` : ''),
+                    { parse_mode: "HTML" }
+                );
+                await outbox.deliver('sendMessage', target.telegram_id, [
+                    `🔔 <b>New Follower!</b>\n\n` +
+                    `👤 <b>${escapeHtml(me.telegram_name)}</b> followed you (verified by screenshot).\n` +
+                    `🐦 @${escapeHtml(me.x_username)}` +
+                    (isMutual ? `\n\n🤝 <b>It's a Mutual!</b>` : `\n\nFollow back to make it mutual!`),
+                    {
+                        parse_mode: "HTML",
+                        ...Markup.inlineKeyboard([
+                            [Markup.button.url(`🔗 Check @${me.x_username}`, `https://x.com/${me.x_username}`)]
+                        ])
+                    }
+                ]);
+                return;
+            }
+
+            // Screenshot didn't prove it: fall back to asking the target
+            const sent = await askTargetToConfirm(claim);
+            await ctx.reply(
+                `⚠️ <b>Couldn't auto-verify</b>\n` +
+                `${escapeHtml(failure)}\n\n` +
+                (sent
+                    ? `Asked @${escapeHtml(target.x_username)} to confirm instead. ⏳`
+                    : `❌ Couldn't reach @${escapeHtml(target.x_username)} either.`),
+                { parse_mode: "HTML" }
+            );
+            return;
+        }
+
+        // DISPUTE SCREENSHOT
+        if (session.step === "dispute_screenshot" && ctx.message.photo) {
+            const claim = await db.getFollowClaim(session.disputeClaimId);
+            const claimant = db.getUser(userId);
+            const denier = claim && db.getUser(claim.target_id);
+
+            if (!claim || !claimant || !denier) {
+                sessionManager.deleteSession(userId);
+                return ctx.reply("❌ That dispute is no longer open.");
+            }
+
+            const photo = ctx.message.photo[ctx.message.photo.length - 1].file_id;
+            await ctx.reply("🔍 Checking... one sec.");
+
+            // OCR only informs the admins here; a failure still goes to review
+            let ocr = { is_valid: false, follow_state: "unknown", handle_found: false, confidence: 0, reason: "OCR failed" };
+            try {
+                const { ret, width, height } = await recognizeScreenshot(await downloadFile(bot.telegram, photo), ctx);
+                const validation = validateProfileLayout(ret.data, width, height);
+                ocr = {
+                    is_valid: validation.isValid,
+                    follow_state: validation.followState,
+                    handle_found: ret.data.text.toLowerCase().includes(denier.x_username.toLowerCase()),
+                    confidence: Math.round(ret.data.confidence),
+                    reason: validation.reason
+                };
+            } catch (error) {
+                logger.error("Dispute OCR Error:", error);
+            }
+
+            const opened = await db.openClaimDispute(claim._id, userId, { photoFileId: photo, ocr });
+            sessionManager.deleteSession(userId);
+
+            if (!opened) {
+                return ctx.reply("⚠️ This denial was already disputed.");
+            }
+
+            await outbox.sendPhoto(ADMIN_GROUP_ID, photo, {
+                caption:
+                    `⚖️ <b>Follow Dispute</b>\n\n` +
+                    `🙋 Claimant: @${escapeHtml(claimant.x_username)} (ID: ${userId})\n` +
+                    `🙅 Denied by: @${escapeHtml(denier.x_username)} (ID: ${denier.telegram_id})` +
+                    (denier.false_denials ? ` ⚠️ ${denier.false_denials} past false denial(s)` : '') + `\n` +
+                    `⏰ Claimed: ${new Date(claim.created_at).toLocaleString()}\n\n` +
+                    `📐 Layout: ${ocr.is_valid ? 'valid' : 'invalid'} (${escapeHtml(ocr.reason)})\n` +
+                    `🔍 Follow State: ${ocr.follow_state}\n` +
+                    `🐦 @${escapeHtml(denier.x_username)} in screenshot: ${ocr.handle_found ? 'yes' : 'no'}\n` +
+                    `📊 Confidence: ${ocr.confidence}%\n\n` +
+                    `Did they follow?`,
+                parse_mode: "HTML",
+                ...Markup.inlineKeyboard([
+                    [
+                        Markup.button.callback('✅ Overturn', `dispute_overturn_${claim._id}`),
+                        Markup.button.callback('❌ Uphold Denial', `dispute_uphold_${claim._id}`)
+                    ],
+                    [Markup.button.url(`🔗 Check @${denier.x_username}`, `https://x.com/${denier.x_username}`)]
+                ])
+            });
+
+            await ctx.reply(
+                `📨 <b>Dispute sent!</b>\n\n` +
+                `Admins will review it and get back to you.`,
+                { parse_mode: "HTML" }
+            );
+            return;
+        }
+
         // STEP 1: GET X USERNAME
         if (session.step === "username" && ctx.message.text) {
             let username = ctx.message.text.trim().replace(/^@/, "");
@@ -1435,8 +2715,7 @@ export function setupHandlers(bot) {
                 return ctx.reply("❌ Letters, numbers, underscores only.");
             }
 
-            session.username = username;
-            session.step = "follow_check";
+            sessionManager.updateSession(userId, { username, step: "follow_check" });
 
             await ctx.reply(
                 `✅ <b>Saved: @${escapeHtml(username)}</b>\n\n` +
@@ -1453,129 +2732,15 @@ export function setupHandlers(bot) {
             return;
         }
 
-        // STEP 2: GET SCREENSHOT
-        if (session.step === "screenshot" && ctx.message.photo) {
-            const username = session.username || "Unknown";
-
-            const firstName = ctx.from.first_name || '';
-            const lastName = ctx.from.last_name || '';
-            const fullName = escapeHtml((firstName + (lastName ? ' ' + lastName : '')).trim());
-            const telegramUsername = ctx.from.username ? escapeHtml(ctx.from.username) : 'none';
-            const escapedUsername = escapeHtml(username);
-
-            const caption =
-                `📸 <b>New Verification Request</b>\n\n` +
-                `👤 Telegram: ${fullName}\n` +
-                `🆔 Telegram ID: ${userId}\n` +
-                `👤 TG Username: @${telegramUsername}\n` +
-                `🐦 X Username: @${escapedUsername}\n` +
-                `⏰ Submitted: ${new Date().toLocaleString()}\n\n` +
-                `<b>Reply 'yes' or 'no' to this message to verify.</b>`;
-
-            const photo = ctx.message.photo[ctx.message.photo.length - 1].file_id;
-            const fileLink = await bot.telegram.getFileLink(photo);
-
-            await ctx.reply("🔍 Checking... one sec.");
-
-            try {
-                // Use singleton worker
-                const worker = await ocrManager.getWorker();
-                const ret = await worker.recognize(fileLink.href);
-                // Do NOT terminate the worker! We reuse it.
-                // await worker.terminate();
-
-                // Extract dimensions from hocr
-                // Format: title='image "..." 0 0 W H'
-                const hocr = ret.data.hocr;
-                // Try to match 'bbox 0 0 W H' or 'image "..." 0 0 W H'
-                let dimMatch = hocr.match(/bbox 0 0 (\d+) (\d+)/);
-                if (!dimMatch) {
-                    dimMatch = hocr.match(/title='image "[^"]*" 0 0 (\d+) (\d+)/);
-                }
-
-                let width = 1000; // Fallback
-                let height = 2000; // Fallback
-                if (dimMatch) {
-                    width = parseInt(dimMatch[1]);
-                    height = parseInt(dimMatch[2]);
-                }
-
-                const validation = validateProfileLayout(ret.data, width, height);
-                const confidence = ret.data.confidence;
-
-                // Check if we found the owner's username anywhere in the text as a safety check
-                const fullText = ret.data.text.toLowerCase();
-                const hasOwner = fullText.includes(OWNER_X.toLowerCase());
-
-                if (validation.isValid && validation.followState === "following" && hasOwner) {
-                    // AUTO-VERIFY
-                    await db.addUser(userId, fullName, session.username);
-
-                    await ctx.reply(
-                        `✅ <b>Verified!</b>\n\n` +
-                        `🐦 @${escapeHtml(session.username)}\n` +
-                        `⏰ ${new Date().toLocaleString()}\n\n` +
-                        `🎉 You're in!\n\n` +
-                        `Admin will send you profiles soon. ` +
-                        `Follow 'em to grow! 🚀`,
-                        { parse_mode: "HTML" }
-                    );
-
-                    // Notify Admin of Auto-Verify
-                    await bot.telegram.sendMessage(
-                        ADMIN_GROUP_ID,
-                        `🤖 <b>Auto-Verified User</b>\n` +
-                        `👤 ${fullName} (@${telegramUsername})\n` +
-                        `🐦 X: @${escapeHtml(session.username)}\n` +
-                        `📊 Confidence: ${Math.round(confidence)}%\n` +
-                        `✅ Layout Valid & Following`,
-                        { parse_mode: "HTML" }
-                    );
-
-                    sessionManager.deleteSession(userId);
-
-                } else {
-                    // MANUAL REVIEW NEEDED
-                    session.step = "done";
-                    let reason = validation.reason;
-                    if (validation.followState === "not_following") reason = "Detected 'Follow' button (Not Following)";
-                    if (!hasOwner) reason += " | Owner username not found";
-
-                    await ctx.reply(
-                        `⏳ <b>Verification Pending</b>\n\n` +
-                        `Admin is reviewing your screenshot.\n` +
-                        `Sit tight!`,
-                        { parse_mode: "HTML" }
-                    );
-
-                    await bot.telegram.sendPhoto(ADMIN_GROUP_ID, photo, {
-                        caption:
-                            `⚠️ <b>Manual Review Needed</b>\n\n` +
-                            `👤 ${fullName} (@${telegramUsername})\n` +
-                            `🐦 X: @${escapeHtml(session.username)}\n` +
-                            `📊 Confidence: ${Math.round(confidence)}%\n` +
-                            `❓ Reason: ${reason}\n` +
-                            `🔍 Follow State: ${validation.followState}\n\n` +
-                            `Verify this user?`,
-                        parse_mode: "HTML",
-                        ...Markup.inlineKeyboard([
-                            [Markup.button.callback('✅ Verify', `verify_${userId}`), Markup.button.callback('❌ Reject', `decline_${userId}`)]
-                        ])
-                    });
-                }
-
-            } catch (error) {
-                logger.error("OCR Error:", error);
-                session.step = "done";
-                await ctx.reply("⚠️ Error checking image. Admin will review manually.");
-                // Forward to admin on error too
-                await bot.telegram.sendPhoto(ADMIN_GROUP_ID, photo, {
-                    caption: `🚨 <b>OCR Error - Manual Review</b>\nUser: @${escapeHtml(session.username)}\nError: ${error.message}`,
-                    parse_mode: "HTML",
-                    ...Markup.inlineKeyboard([
-                        [Markup.button.callback('✅ Verify', `verify_${userId}`), Markup.button.callback('❌ Reject', `decline_${userId}`)]
-                    ])
-                });
+        // STEP 2: GET SCREENSHOT (a photo, an image sent as a file, or an album of them)
+        const screenshot = session.step === "screenshot" ? screenshotFile(ctx.message) : null;
+        if (screenshot) {
+            if (ctx.message.media_group_id) {
+                collectAlbum(ctx.message.media_group_id, screenshot, files =>
+                    checkScreenshots(ctx, files).catch(error => logger.error("Album check failed:", error))
+                );
+            } else {
+                await checkScreenshots(ctx, [screenshot]);
             }
             return;
         }
@@ -1584,6 +2749,8 @@ export function setupHandlers(bot) {
         if (session.step === "username") {
             await ctx.reply("❌ Send text only.");
         } else if (session.step === "screenshot") {
+            await ctx.reply("❌ Send a screenshot (photo or image file).");
+        } else if (["dispute_screenshot", "follow_proof"].includes(session.step)) {
             await ctx.reply("❌ Send a photo.");
         } else if (session.step === "done") {
             await ctx.reply(
@@ -1595,52 +2762,6 @@ export function setupHandlers(bot) {
         }
     });
 
-    // ===========================
-    // HELPER: FORWARD TO ADMIN
-    // ===========================
-    async function forwardToAdmin(ctx, session, photo, status) {
-        const username = session.username || "Unknown";
-        const firstName = ctx.from.first_name || '';
-        const lastName = ctx.from.last_name || '';
-        const fullName = escapeHtml((firstName + (lastName ? ' ' + lastName : '')).trim());
-        const telegramUsername = ctx.from.username ? escapeHtml(ctx.from.username) : 'none';
-        const escapedUsername = escapeHtml(username);
-
-        const caption =
-            `📸 <b>New Request</b>\n\n` +
-            `👤 ${fullName}\n` +
-            `🆔 ${ctx.from.id}\n` +
-            `👤 @${telegramUsername}\n` +
-            `🐦 @${escapedUsername}\n` +
-            `⏰ ${new Date().toLocaleString()}\n` +
-            `ℹ️ <b>${status}</b>\n\n` +
-            `<b>Verify?</b>`;
-
-        try {
-            await bot.telegram.sendPhoto(ADMIN_GROUP_ID, photo, {
-                caption,
-                parse_mode: "HTML",
-                ...Markup.inlineKeyboard([
-                    [Markup.button.url(`🔗 View @${username} on X`, `https://x.com/${username}`)],
-                    [Markup.button.callback('✅ Verify', `verify_${ctx.from.id}`), Markup.button.callback('❌ Decline', `decline_${ctx.from.id}`)]
-                ])
-            });
-
-            await ctx.reply(
-                `📨 <b>Received!</b>\n\n` +
-                `ℹ️ Status: ${status}\n` +
-                `⏳ Admin checking it now.\n` +
-                `We'll ping you soon!\n\n` +
-                `📊 Check /status later`,
-                { parse_mode: "HTML" }
-            );
-
-        } catch (error) {
-            logger.error("Error forwarding to admin:", error);
-            await ctx.reply("❌ Error. Contact support.");
-        }
-    }
-
     // ===========================
     // ERROR HANDLING
     // ===========================
@@ -0,0 +1,78 @@
+import Jimp from "jimp";
+import { db } from "./database.js";
+import { DUPLICATE_HASH_DISTANCE, DUPLICATE_LOOKBACK_DAYS } from "./config.js";
+
+// The status bar strip (clock, battery, carrier) is the one part of a proof
+// screenshot that differs between honest users on the same phone. It's kept
+// as a grey thumbnail, one hex digit (16 levels) per cell.
+const STRIP_HEIGHT = 0.05;
+const STRIP_COLS = 192;
+const STRIP_ROWS = 12;
+// Re-encoding moves a cell by a level at most; a changed digit moves it by 6+
+const STRIP_TOLERANCE = 2;
+
+/**
+ * Fingerprint of a verification screenshot for duplicate checks.
+ *
+ * Every honest submission shows the same X profile, so the whole-image hash
+ * alone can't tell two users apart. It's paired with the exact pixel size and
+ * the status bar strip. The hash survives re-compression but not crops or
+ * resizing, and neither do the other two, so only a re-sent copy of the same
+ * file matches.
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Promise<object>} - { hash: 16 hex chars, size: "WxH", strip: hex thumbnail }
+ */
+export async function screenshotFingerprint(buffer) {
+    const image = await Jimp.read(buffer);
+    const { width, height } = image.bitmap;
+    const strip = image.clone()
+        .crop(0, 0, width, Math.max(16, Math.round(height * STRIP_HEIGHT)))
+        .greyscale()
+        .resize(STRIP_COLS, STRIP_ROWS);
+    let cells = '';
+    for (let i = 0; i < STRIP_COLS * STRIP_ROWS; i++) {
+        cells += (strip.bitmap.data[i * 4] >> 4).toString(16);
+    }
+    return { hash: image.hash(16), size: `${width}x${height}`, strip: cells };
+}
+
+/**
+ * Number of differing bits between two 64-bit perceptual hashes.
+ * @returns {number} - 0 (identical) to 64
+ */
+export function hashDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < 16; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+function stripsMatch(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (Math.abs(parseInt(a[i], 16) - parseInt(b[i], 16)) > STRIP_TOLERANCE) return false;
+    }
+    return true;
+}
+
+/**
+ * Recent verification screenshots from other accounts that are the same file
+ * as this one: same size, same status bar, near-identical hash.
+ * @param {object} fingerprint - From screenshotFingerprint()
+ * @param {number} userId - Submitter; their own earlier attempts don't count
+ * @returns {Promise<object[]>} - [{ request_id, user_id, x_username, distance }], closest first
+ */
+export async function findDuplicateSubmissions(fingerprint, userId) {
+    const since = new Date(Date.now() - DUPLICATE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const earlier = await db.getVerificationHashes(userId, fingerprint.size, since);
+    return earlier
+        .filter(r => stripsMatch(fingerprint.strip, r.photo_strip))
+        .map(r => ({ request_id: r._id, user_id: r.user_id, x_username: r.x_username, distance: hashDistance(fingerprint.hash, r.photo_hash) }))
+        .filter(r => r.distance <= DUPLICATE_HASH_DISTANCE)
+        .sort((a, b) => a.distance - b.distance);
+}
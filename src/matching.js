@@ -0,0 +1,90 @@
+import { MATCH_WEIGHTS, MATCH_RECENCY_HALF_LIFE_DAYS } from "./config.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Smoothing so brand-new members with no history start at a neutral rate
+// instead of 0% (never shown) or 100% (always shown).
+const PRIOR_RATE = 0.5;
+const PRIOR_WEIGHT = 3;
+
+function smoothedRate(hits, total) {
+    const rate = (hits + PRIOR_RATE * PRIOR_WEIGHT) / (total + PRIOR_WEIGHT);
+    return Math.max(0, Math.min(1, rate));
+}
+
+/**
+ * Counts how many members have a verified follow on each user.
+ * @param {object[]} users - All cached user documents
+ * @returns {Map<number, number>} telegram_id -> inbound verified follows
+ */
+export function countInboundFollows(users) {
+    const inbound = new Map();
+    for (const u of users) {
+        for (const targetId of u.verified_follows || []) {
+            inbound.set(targetId, (inbound.get(targetId) || 0) + 1);
+        }
+    }
+    return inbound;
+}
+
+/**
+ * Scores one candidate for the requesting user.
+ * @param {object} candidate - Candidate user document
+ * @param {object} context - { requesterId, inbound, now, weights, random }
+ * @returns {object} - { score: number, breakdown: object }
+ */
+export function scoreCandidate(candidate, context) {
+    const { requesterId, inbound, now = Date.now(), weights = MATCH_WEIGHTS, random = Math.random } = context;
+
+    // How often they follow the profiles we send them
+    const followThrough = smoothedRate(candidate.profiles_followed || 0, candidate.profiles_received || 0);
+
+    // How often people who follow them get a follow back
+    const mutuals = candidate.mutual_follows?.length || 0;
+    const reciprocity = smoothedRate(mutuals, Math.max(mutuals, inbound?.get(candidate.telegram_id) || 0));
+
+    // They already follow the requester, so a follow now becomes a mutual
+    const followsBack = candidate.verified_follows?.includes(requesterId) ? 1 : 0;
+
+    const lastActive = new Date(candidate.last_active || 0).getTime();
+    const idleDays = Math.max(0, (now - lastActive) / DAY_MS);
+    const recency = Math.pow(0.5, idleDays / MATCH_RECENCY_HALF_LIFE_DAYS);
+
+    const warnings = candidate.warnings_count || 0;
+
+    const breakdown = {
+        followThrough: weights.followThrough * followThrough,
+        reciprocity: weights.reciprocity * reciprocity,
+        followsBack: weights.followsBack * followsBack,
+        recency: weights.recency * recency,
+        warnings: -weights.warningPenalty * warnings,
+        jitter: weights.jitter * random()
+    };
+
+    const score = Object.values(breakdown).reduce((acc, v) => acc + v, 0);
+    return { score, breakdown };
+}
+
+/**
+ * Ranks candidates best-first.
+ * @param {object[]} candidates - Candidate user documents
+ * @param {object} context - See scoreCandidate
+ * @returns {object[]} - [{ user, score, breakdown }]
+ */
+export function rankCandidates(candidates, context) {
+    return candidates
+        .map(user => ({ user, ...scoreCandidate(user, context) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Formats a score breakdown as a short human-readable line for admins.
+ * @param {object} entry - { score, breakdown }
+ * @returns {string}
+ */
+export function describeScore(entry) {
+    const parts = Object.entries(entry.breakdown)
+        .filter(([, v]) => Math.abs(v) >= 0.01)
+        .map(([k, v]) => `${k} ${v >= 0 ? '+' : ''}${v.toFixed(2)}`);
+    return `${entry.score.toFixed(2)} = ${parts.join(', ') || '0'}`;
+}
@@ -1,4 +1,4 @@
-import { logger } from "./utils.js";
+import Jimp from "jimp";
 
 /**
  * Normalizes OCR text to handle common misinterpretations.
@@ -13,22 +13,88 @@ export function normalizeText(text) {
         .replace(/\|/g, "l")
         .replace(/@/g, "")
         .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "") // "abonné" -> "abonne", the eng model often drops accents anyway
         .trim();
 }
 
+// Words X shows on a profile, per app language. Matched against normalized
+// OCR text (no accents); two-word keywords are matched against a word plus the next one.
+// `following` is checked before `follow`, since one usually contains the other.
+export const UI_KEYWORDS = {
+    en: { joined: ["joined"], followingLabel: ["following"], followersLabel: ["followers"], following: ["following"], follow: ["follow"] },
+    es: { joined: ["se unio", "unio"], followingLabel: ["siguiendo"], followersLabel: ["seguidores"], following: ["siguiendo"], follow: ["seguir"] },
+    fr: { joined: ["rejoint"], followingLabel: ["abonnements"], followersLabel: ["abonnes"], following: ["abonne"], follow: ["suivre"] },
+    pt: { joined: ["ingressou"], followingLabel: ["seguindo"], followersLabel: ["seguidores"], following: ["seguindo"], follow: ["seguir"] },
+    de: { joined: ["beigetreten"], followingLabel: ["folge ich"], followersLabel: ["follower"], following: ["folge ich"], follow: ["folgen"] },
+    id: { joined: ["bergabung"], followingLabel: ["mengikuti"], followersLabel: ["pengikut"], following: ["mengikuti"], follow: ["ikuti"] },
+    it: { joined: ["iscrizione", "iscritto"], followingLabel: ["seguiti"], followersLabel: ["follower"], following: ["segui gia"], follow: ["segui"] }
+};
+
+function tokenize(words) {
+    return words.map((word, i) => {
+        const text = normalizeText(word.text);
+        return { text, phrase: `${text} ${normalizeText(words[i + 1]?.text)}` };
+    });
+}
+
+function matchesAny(token, keywords) {
+    return keywords.some(keyword => (keyword.includes(" ") ? token.phrase : token.text).includes(keyword));
+}
+
+/**
+ * Guesses the X app language from which keyword table matches the most words.
+ * @param {object[]} tokens - { text, phrase } per OCR word, normalized; phrase adds the next word
+ * @returns {string} - Key of UI_KEYWORDS, 'en' when nothing matches
+ */
+export function detectLanguage(tokens) {
+    let best = "en";
+    let bestHits = 0;
+    for (const [language, table] of Object.entries(UI_KEYWORDS)) {
+        const keywords = Object.values(table).flat();
+        const hits = tokens.filter(token => matchesAny(token, keywords)).length;
+        if (hits > bestHits) {
+            best = language;
+            bestHits = hits;
+        }
+    }
+    return best;
+}
+
+// Where each profile element may sit, as fractions of the image size (centre of
+// the word). Tuned by hand; scripts/calibrateOcr.js measures them against
+// labelled screenshots and can sweep alternatives.
+export const LAYOUT_BANDS = {
+    displayName: { y0: 0.15, y1: 0.55, maxX: 0.6 },
+    username: { y0: 0.20, y1: 0.65, maxX: 0.6 },
+    joinedDate: { y0: 0.30, y1: 0.90, maxX: 0.6 },
+    followingRow: { y0: 0.40, y1: 0.95 },
+    followButton: { x0: 0.60, x1: 0.98, y0: 0.30, y1: 0.60 }
+};
+
+const inBand = (band, relX, relY) =>
+    relY >= band.y0 && relY <= band.y1 &&
+    (band.maxX === undefined || relX < band.maxX) &&
+    (band.x0 === undefined || (relX >= band.x0 && relX <= band.x1));
+
 /**
  * Validates the layout of the X profile screenshot based on relative Y positions.
  * @param {object} ocrData - The full OCR result object from Tesseract.js
  * @param {number} width - Image width
  * @param {number} height - Image height
- * @returns {object} - { isValid: boolean, reason: string, followState: string, confidence: number }
+ * @param {object} bands - LAYOUT_BANDS, or a variant being calibrated
+ * @returns {object} - { isValid: boolean, reason: string, followState: string, confidence: number, handle: string|null, language: string, elements: object, layout: 'profile' }
+ * elements maps each LAYOUT_BANDS key to whether it was found
  */
-export function validateProfileLayout(ocrData, width, height) {
+export function validateProfileLayout(ocrData, width, height, bands = LAYOUT_BANDS) {
     if (!ocrData || !ocrData.words || ocrData.words.length === 0) {
-        return { isValid: false, reason: "No text found", followState: "unknown", confidence: 0 };
+        return { isValid: false, reason: "No text found", followState: "unknown", confidence: 0, language: "en", layout: "profile" };
     }
 
     const words = ocrData.words;
+    const tokens = tokenize(words);
+    const language = detectLanguage(tokens);
+    const keywords = UI_KEYWORDS[language];
     const elements = {
         displayName: null,
         username: null,
@@ -42,9 +108,10 @@ export function validateProfileLayout(ocrData, width, height) {
     const getRelX = (bbox) => ((bbox.x0 + bbox.x1) / 2) / width;
 
     // 1. Scan for elements
-    for (const word of words) {
+    for (const [i, word] of words.entries()) {
         const rawText = word.text;
-        const text = normalizeText(rawText);
+        const token = tokens[i];
+        const text = token.text;
         const relY = getRelY(word.bbox);
         const relX = getRelX(word.bbox);
 
@@ -52,40 +119,42 @@ export function validateProfileLayout(ocrData, width, height) {
         if (text.length < 2) continue;
 
         // Display Name: Y = 0.15 -> 0.55
-        // MUST BE LEFT ALIGNED (relX < 0.5) - This kills centered text like keyboards
-        if (relY >= 0.15 && relY <= 0.55 && relX < 0.6) {
+        // MUST BE LEFT ALIGNED (relX < 0.6) - This kills centered text like keyboards
+        if (inBand(bands.displayName, relX, relY)) {
             if (!elements.displayName) elements.displayName = { text: rawText, y: relY, isStrong: false };
         }
 
         // Username: Y = 0.20 -> 0.65
         // MUST BE LEFT ALIGNED
-        if (relY >= 0.20 && relY <= 0.65 && relX < 0.6) {
+        if (inBand(bands.username, relX, relY)) {
             const isHandle = rawText.startsWith('@') || rawText.startsWith('©'); // OCR sometimes sees @ as ©
             if (!elements.username || (isHandle && !elements.username.isStrong)) {
                 elements.username = { text: rawText, y: relY, isStrong: isHandle };
             }
         }
 
-        // Joined date: Y = 0.30 -> 0.90 (Look for "joined")
+        // Joined date: Y = 0.30 -> 0.90 (Look for "joined", in the detected language)
         // MUST BE LEFT ALIGNED
-        if (relY >= 0.30 && relY <= 0.90 && text.includes("joined") && relX < 0.6) {
+        if (inBand(bands.joinedDate, relX, relY) && matchesAny(token, keywords.joined)) {
             elements.joinedDate = { text: rawText, y: relY, isStrong: true };
         }
 
         // Following/Followers row: Y = 0.40 -> 0.95
         // Usually left aligned too, but can span wider
-        if (relY >= 0.40 && relY <= 0.95 && (text.includes("following") || text.includes("followers"))) {
+        if (inBand(bands.followingRow, relX, relY) && (matchesAny(token, keywords.followingLabel) || matchesAny(token, keywords.followersLabel))) {
             elements.followingRow = { text: rawText, y: relY, isStrong: true };
         }
 
         // Follow Button: X = 0.60 -> 0.98 (Right side) AND Y = 0.30 -> 0.60
-        if (relX >= 0.60 && relX <= 0.98 && relY >= 0.30 && relY <= 0.60) {
-            if (text.includes("following") || text.includes("follow")) {
-                elements.followButton = { text: rawText, y: relY, raw: rawText };
+        if (inBand(bands.followButton, relX, relY)) {
+            if (matchesAny(token, keywords.following) || matchesAny(token, keywords.follow)) {
+                elements.followButton = { text: rawText, y: relY, raw: rawText, token };
             }
         }
     }
 
+    const found = Object.fromEntries(Object.entries(elements).map(([key, el]) => [key, !!el]));
+
     // 2. Validate Ordering
     let lastY = 0;
     const orderChecks = [
@@ -101,7 +170,7 @@ export function validateProfileLayout(ocrData, width, height) {
     for (const el of orderChecks) {
         if (el) {
             if (el.y < lastY) {
-                return { isValid: false, reason: "Layout mismatch (elements out of order)", followState: "unknown", confidence: 50 };
+                return { isValid: false, reason: "Layout mismatch (elements out of order)", followState: "unknown", confidence: 50, language, elements: found, layout: "profile" };
             }
             lastY = el.y;
             foundCount++;
@@ -112,10 +181,10 @@ export function validateProfileLayout(ocrData, width, height) {
     // 3. Determine Follow State
     let followState = "unknown";
     if (elements.followButton) {
-        const btnText = normalizeText(elements.followButton.raw);
-        if (btnText.includes("following") || btnText.includes("foll0wing")) {
+        const btnToken = elements.followButton.token;
+        if (matchesAny(btnToken, keywords.following)) {
             followState = "following";
-        } else if (btnText.includes("follow") || btnText.includes("f0llow")) {
+        } else if (matchesAny(btnToken, keywords.follow)) {
             followState = "not_following";
         }
     }
@@ -123,17 +192,431 @@ export function validateProfileLayout(ocrData, width, height) {
     // 4. Final Validity Check
     // Must have at least 2 elements AND (at least 1 strong element OR 3+ elements)
     if (foundCount < 2) {
-        return { isValid: false, reason: "Not enough profile elements found", followState: "unknown", confidence: 20 };
+        return { isValid: false, reason: "Not enough profile elements found", followState: "unknown", confidence: 20, language, elements: found, layout: "profile" };
     }
 
     if (strongCount === 0 && foundCount < 3) {
-        return { isValid: false, reason: "Ambiguous layout (no strong markers like '@', 'joined', 'following')", followState: "unknown", confidence: 40 };
+        return { isValid: false, reason: "Ambiguous layout (no strong markers like '@', 'joined', 'following')", followState: "unknown", confidence: 40, language, elements: found, layout: "profile" };
     }
 
     return {
         isValid: true,
         reason: "Valid layout",
         followState: followState,
-        confidence: strongCount > 1 ? 95 : 85
+        confidence: strongCount > 1 ? 95 : 85,
+        // Only trust the handle when OCR actually saw the '@'
+        handle: elements.username?.isStrong ? elements.username.text.replace(/^[@©]/, "") : null,
+        language,
+        elements: found,
+        layout: "profile"
+    };
+}
+
+// Followers/Following list screens: the tab labels sit near the top, the
+// account whose list it is is in the top bar above them, and each row has an
+// @handle on the left with its follow button on the right.
+export const LIST_BANDS = {
+    tabsMaxY: 0.35,
+    handleMaxX: 0.6,
+    buttonMinX: 0.6
+};
+
+const isHandleWord = (text) => /^[@©][A-Za-z0-9_]{2,}/.test(text || "");
+const handleText = (text) => text.slice(1).replace(/[^A-Za-z0-9_]/g, "");
+const exactHandle = (found, expected) =>
+    !!found && !!expected && found.toLowerCase() === expected.replace(/^@/, "").toLowerCase();
+
+function findListParts(ocrData, width, height) {
+    const words = (ocrData?.words || []).filter(w => w.text && w.bbox);
+    const tokens = tokenize(words);
+    const language = detectLanguage(tokens);
+    const keywords = UI_KEYWORDS[language];
+    const relX = (w) => ((w.bbox.x0 + w.bbox.x1) / 2) / width;
+    const relY = (w) => ((w.bbox.y0 + w.bbox.y1) / 2) / height;
+
+    // Tabs, not the profile's stats row: there the label comes right after its count
+    const isStat = (i) => i > 0 && parseCount(words[i - 1].text) !== null && sameLine(words[i - 1], words[i]);
+    const isTab = (labels) => (w, i) => relY(w) <= LIST_BANDS.tabsMaxY && !isStat(i) && matchesAny(tokens[i], labels);
+    const followingTabs = words.filter(isTab(keywords.followingLabel));
+    const followersTabs = words.filter(isTab(keywords.followersLabel));
+    // Both tabs; a lone "Following" up top is a profile's follow button
+    const tabs = followingTabs.length && followersTabs.length ? [...followingTabs, ...followersTabs] : [];
+    const tabsY = tabs.length ? Math.min(...tabs.map(relY)) : null;
+
+    const handles = words
+        .map((w, i) => ({ word: w, index: i }))
+        .filter(({ word }) => isHandleWord(word.text) && relX(word) < LIST_BANDS.handleMaxX);
+    const header = tabsY === null ? null : handles.find(({ word }) => relY(word) < tabsY) || null;
+    const rows = tabsY === null ? [] : handles.filter(({ word }) => relY(word) > tabsY);
+
+    // The row's button is to the right, between its name line and a line below the handle
+    const buttonFor = ({ word }) => {
+        const lineHeight = word.bbox.y1 - word.bbox.y0;
+        const candidates = words.map((w, i) => ({ w, token: tokens[i] })).filter(({ w }) =>
+            relX(w) >= LIST_BANDS.buttonMinX &&
+            w.bbox.y1 >= word.bbox.y0 - lineHeight * 2.5 && w.bbox.y0 <= word.bbox.y1 + lineHeight);
+        if (candidates.some(({ token }) => matchesAny(token, keywords.following))) return "following";
+        if (candidates.some(({ token }) => matchesAny(token, keywords.follow))) return "not_following";
+        return "unknown";
+    };
+
+    return { language, tabs, header, rows, buttonFor };
+}
+
+/**
+ * Tells a profile page from a Followers/Following list.
+ * @returns {string} - 'list' or 'profile'
+ */
+export function detectLayout(ocrData, width, height) {
+    const { tabs, header, rows } = findListParts(ocrData, width, height);
+    return tabs.length > 0 && header && rows.length >= 2 ? "list" : "profile";
+}
+
+/**
+ * Validates a list screenshot as follow proof. Two are accepted:
+ * - following_list: the claimed user's own Following list, with the owner's
+ *   row in it and its button saying "Following"
+ * - followers_list: the owner's Followers list with the claimed user's row.
+ *   Weak: the selected tab isn't read, and anyone can open that list and
+ *   screenshot some other follower's row. It's never auto-verified (see
+ *   evaluatePolicy) and scores below any sensible min_list_confidence.
+ * @param {object} ocrData - The full OCR result object from Tesseract.js
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {object} handles - { claimed: the user's X handle, owner: OWNER_X }
+ * @returns {object} - Same shape as validateProfileLayout, layout is 'following_list' or 'followers_list',
+ * handle is the owner's handle as read (exact match required)
+ */
+export function validateListLayout(ocrData, width, height, { claimed, owner }) {
+    claimed = (claimed || "").replace(/^@/, "");
+    owner = (owner || "").replace(/^@/, "");
+    const { language, tabs, header, rows, buttonFor } = findListParts(ocrData, width, height);
+    const result = (fields) => ({
+        isValid: false, followState: "unknown", confidence: 0, handle: null, language,
+        elements: { tabs: tabs.length > 0, header: !!header, rows: rows.length > 0 },
+        layout: "list",
+        ...fields
+    });
+
+    if (!tabs.length || !header) {
+        return result({ reason: "No Followers/Following tabs or list owner found", confidence: 20 });
+    }
+
+    const headerHandle = handleText(header.word.text);
+
+    // Their own list: the owner must be a row in it, followed
+    if (handlesMatch(headerHandle, claimed)) {
+        const ownerRow = rows.find(({ word }) => exactHandle(handleText(word.text), owner));
+        if (!ownerRow) {
+            return result({ reason: `@${owner} not found in your Following list`, confidence: 40, layout: "following_list" });
+        }
+        const followState = buttonFor(ownerRow);
+        return result({
+            isValid: true,
+            reason: "Valid Following list",
+            followState,
+            confidence: followState === "following" ? 90 : 60,
+            handle: handleText(ownerRow.word.text),
+            layout: "following_list"
+        });
+    }
+
+    // The owner's list: the user must be a row in it
+    if (exactHandle(headerHandle, owner)) {
+        const userRow = rows.find(({ word }) => exactHandle(handleText(word.text), claimed));
+        if (!userRow) {
+            return result({ reason: `@${claimed} not found in @${owner}'s Followers list`, confidence: 40, handle: headerHandle, layout: "followers_list" });
+        }
+        return result({
+            isValid: true,
+            reason: "Followers list: check the account is theirs",
+            followState: "following",
+            confidence: 50,
+            handle: headerHandle,
+            layout: "followers_list"
+        });
+    }
+
+    return result({ reason: `List belongs to @${headerHandle}, not you or @${owner}`, confidence: 30 });
+}
+
+/**
+ * Validates a verification screenshot of any accepted layout. A screenshot
+ * that looks like a list but doesn't pass as one is also tried as a profile,
+ * since a profile's stats row and timeline can pass for tabs and rows.
+ * @param {object} handles - { claimed, owner }, see validateListLayout()
+ * @param {object} bands - Profile layout bands, see validateProfileLayout()
+ * @returns {object} - From validateListLayout() or validateProfileLayout()
+ */
+export function validateScreenshot(ocrData, width, height, handles, bands = LAYOUT_BANDS) {
+    if (detectLayout(ocrData, width, height) === "list") {
+        const list = validateListLayout(ocrData, width, height, handles);
+        if (list.isValid) return list;
+        const profile = validateProfileLayout(ocrData, width, height, bands);
+        return profile.isValid ? profile : list;
+    }
+    return validateProfileLayout(ocrData, width, height, bands);
+}
+
+/**
+ * Compares an OCR'd handle with a stored one, forgiving the usual OCR confusions.
+ * @param {string} found - Handle read from the screenshot
+ * @param {string} expected - Handle we expect (e.g. a user's x_username)
+ * @returns {boolean}
+ */
+export function handlesMatch(found, expected) {
+    if (!found || !expected) return false;
+    const clean = (h) => normalizeText(h).replace(/[^a-z0-9_]/g, "");
+    return clean(found) === clean(expected);
+}
+
+const COUNT_SUFFIXES = { k: 1e3, mil: 1e3, rb: 1e3, m: 1e6, mio: 1e6, jt: 1e6, b: 1e9, mrd: 1e9 };
+
+/**
+ * Parses a follower-style count as X prints it: "842", "12,345", "1.2K", "3,4 mil".
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseCount(text) {
+    const match = String(text || "").replace(/\s/g, "").toLowerCase().match(/^(\d+(?:[.,]\d+)*)(k|mil|rb|mio|m|jt|mrd|b)?\.?$/);
+    if (!match) return null;
+    const [, digits, suffix] = match;
+
+    // With a suffix the separator is a decimal point ("1,2K"); without, it groups thousands
+    const number = suffix
+        ? parseFloat(digits.replace(",", "."))
+        : parseInt(digits.replace(/[.,]/g, ""));
+    return Math.round(number * (suffix ? COUNT_SUFFIXES[suffix] : 1));
+}
+
+function sameLine(a, b) {
+    const centerA = (a.bbox.y0 + a.bbox.y1) / 2;
+    const centerB = (b.bbox.y0 + b.bbox.y1) / 2;
+    return Math.abs(centerA - centerB) < Math.max(a.bbox.y1 - a.bbox.y0, b.bbox.y1 - b.bbox.y0) / 2;
+}
+
+// Several OCR words as one field: joined text, enclosing box, mean confidence
+function field(value, words) {
+    return {
+        value,
+        bbox: {
+            x0: Math.min(...words.map(w => w.bbox.x0)),
+            y0: Math.min(...words.map(w => w.bbox.y0)),
+            x1: Math.max(...words.map(w => w.bbox.x1)),
+            y1: Math.max(...words.map(w => w.bbox.y1))
+        },
+        confidence: words.reduce((sum, w) => sum + (w.confidence || 0), 0) / words.length
+    };
+}
+
+/**
+ * Reads the profile's fields off the screenshot, using the same bands as
+ * validateProfileLayout. Each field is { value, bbox, confidence } or null.
+ * @param {object} ocrData - The full OCR result object from Tesseract.js
+ * @param {object} dims - { width, height } of the image the boxes refer to
+ * @param {object} bands - LAYOUT_BANDS, or a variant being calibrated
+ * @returns {object} - { language, displayName, handle, followingCount, followerCount, joined, followButton }
+ * followButton.value is 'following' or 'not_following'
+ */
+export function extractProfile(ocrData, { width, height }, bands = LAYOUT_BANDS) {
+    const profile = {
+        language: "en",
+        displayName: null,
+        handle: null,
+        followingCount: null,
+        followerCount: null,
+        joined: null,
+        followButton: null
+    };
+    const words = (ocrData?.words || []).filter(w => w.text && w.bbox);
+    if (words.length === 0) return profile;
+
+    const tokens = tokenize(words);
+    profile.language = detectLanguage(tokens);
+    const keywords = UI_KEYWORDS[profile.language];
+
+    const relX = (w) => ((w.bbox.x0 + w.bbox.x1) / 2) / width;
+    const relY = (w) => ((w.bbox.y0 + w.bbox.y1) / 2) / height;
+    const within = (band, w) => inBand(band, relX(w), relY(w));
+
+    // The count is the word (or two, for "3,4 mil") just left of its label
+    const countBefore = (index) => {
+        for (const span of [2, 1]) {
+            const parts = words.slice(Math.max(0, index - span), index);
+            if (parts.length !== span || !parts.every(w => sameLine(w, words[index]))) continue;
+            const value = parseCount(parts.map(w => w.text).join(""));
+            if (value !== null) return field(value, parts);
+        }
+        return null;
     };
+
+    const handleIndex = words.findIndex(w =>
+        /^[@©]\w/.test(w.text) && within(bands.username, w));
+    if (handleIndex !== -1) {
+        const handleWord = words[handleIndex];
+        profile.handle = field(handleWord.text.slice(1).replace(/[^A-Za-z0-9_]/g, ""), [handleWord]);
+
+        // Display name: the line above the handle
+        const nameStart = words.findIndex((w, i) =>
+            i < handleIndex && within(bands.displayName, w) && !sameLine(w, handleWord));
+        if (nameStart !== -1) {
+            const nameWords = words.slice(nameStart, handleIndex).filter(w => sameLine(w, words[nameStart]));
+            profile.displayName = field(nameWords.map(w => w.text).join(" "), nameWords);
+        }
+    }
+
+    words.forEach((word, i) => {
+        const token = tokens[i];
+        if (!profile.joined && within(bands.joinedDate, word) && matchesAny(token, keywords.joined)) {
+            const dateWords = words.slice(i + 1).filter(w => sameLine(w, word) && w.bbox.x0 > word.bbox.x0);
+            const lineWords = [word, ...dateWords];
+            profile.joined = field(dateWords.map(w => w.text).join(" ") || null, lineWords);
+        }
+
+        if (within(bands.followingRow, word)) {
+            if (!profile.followingCount && matchesAny(token, keywords.followingLabel)) {
+                profile.followingCount = countBefore(i);
+            } else if (!profile.followerCount && matchesAny(token, keywords.followersLabel)) {
+                profile.followerCount = countBefore(i);
+            }
+        }
+
+        if (within(bands.followButton, word)) {
+            if (matchesAny(token, keywords.following)) {
+                profile.followButton = field("following", [word]);
+            } else if (matchesAny(token, keywords.follow)) {
+                profile.followButton = field("not_following", [word]);
+            }
+        }
+    });
+
+    return profile;
+}
+
+// Part of a phone screenshot that holds the profile header down to the
+// Following/Followers row. Drops the status bar and the bottom tab bar.
+export const PROFILE_HEADER_REGION = { top: 0.06, bottom: 0.97, left: 0, right: 1 };
+
+const PREPROCESS_DEFAULTS = {
+    region: PROFILE_HEADER_REGION,
+    minWidth: 1400,   // Telegram shrinks photos to ~1280px; small text needs more pixels
+    maxScale: 3,
+    autoInvert: true, // dark/dim themes: light text on dark reads worse
+    binarize: true
+};
+
+// Otsu's method: the gray level that best splits the histogram into two classes
+function otsuThreshold(histogram, total) {
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 127;
+
+    for (let i = 0; i < 256; i++) {
+        weightBackground += histogram[i];
+        if (weightBackground === 0) continue;
+        const weightForeground = total - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += i * histogram[i];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+        if (between > best) {
+            best = between;
+            threshold = i;
+        }
+    }
+    return threshold;
+}
+
+/**
+ * Cleans a screenshot up for Tesseract: crop to the profile header, upscale,
+ * grayscale, invert dark themes and binarise.
+ * @param {Buffer} input - Image file contents (JPEG/PNG/...)
+ * @param {object} options - Overrides for PREPROCESS_DEFAULTS
+ * @returns {Promise<object>} - { buffer, width, height, transform: { offsetX, offsetY, scale }, inverted, threshold }
+ * width/height are the original image's; transform maps processed pixels back onto it
+ */
+export async function preprocessScreenshot(input, options = {}) {
+    const opts = { ...PREPROCESS_DEFAULTS, ...options };
+    const image = await Jimp.read(input);
+    const width = image.bitmap.width;
+    const height = image.bitmap.height;
+
+    const offsetX = Math.round((opts.region?.left || 0) * width);
+    const offsetY = Math.round((opts.region?.top || 0) * height);
+    const cropWidth = Math.max(1, Math.round((opts.region?.right ?? 1) * width) - offsetX);
+    const cropHeight = Math.max(1, Math.round((opts.region?.bottom ?? 1) * height) - offsetY);
+    if (cropWidth !== width || cropHeight !== height) {
+        image.crop(offsetX, offsetY, cropWidth, cropHeight);
+    }
+
+    const scale = Math.min(opts.maxScale, Math.max(1, opts.minWidth / cropWidth));
+    if (scale > 1) {
+        image.resize(Math.round(cropWidth * scale), Math.round(cropHeight * scale), Jimp.RESIZE_BILINEAR);
+    }
+
+    image.greyscale();
+
+    const data = image.bitmap.data;
+    const histogram = new Array(256).fill(0);
+    let luminance = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        histogram[data[i]]++;
+        luminance += data[i];
+    }
+    const pixels = data.length / 4;
+
+    const inverted = opts.autoInvert && luminance / pixels < 110;
+    if (inverted) {
+        image.invert();
+        histogram.reverse();
+    }
+
+    let threshold = null;
+    if (opts.binarize) {
+        threshold = otsuThreshold(histogram, pixels);
+        for (let i = 0; i < data.length; i += 4) {
+            const value = data[i] > threshold ? 255 : 0;
+            data[i] = data[i + 1] = data[i + 2] = value;
+        }
+    }
+
+    return {
+        buffer: await image.getBufferAsync(Jimp.MIME_PNG),
+        width,
+        height,
+        transform: { offsetX, offsetY, scale },
+        inverted,
+        threshold
+    };
+}
+
+/**
+ * Moves OCR boxes from the preprocessed image back onto the original, so the
+ * relative layout bands in validateProfileLayout still apply. Mutates ocrData.
+ * @param {object} ocrData - Tesseract result data
+ * @param {object} transform - From preprocessScreenshot
+ * @returns {object} - ocrData
+ */
+export function mapToOriginal(ocrData, { offsetX, offsetY, scale }) {
+    const map = (bbox) => {
+        bbox.x0 = bbox.x0 / scale + offsetX;
+        bbox.x1 = bbox.x1 / scale + offsetX;
+        bbox.y0 = bbox.y0 / scale + offsetY;
+        bbox.y1 = bbox.y1 / scale + offsetY;
+    };
+    // Tesseract.js shares bbox objects between its flat lists and the tree, so map each once
+    const seen = new Set();
+    for (const item of [...(ocrData?.words || []), ...(ocrData?.lines || []), ...(ocrData?.symbols || [])]) {
+        if (item.bbox && !seen.has(item.bbox)) {
+            seen.add(item.bbox);
+            map(item.bbox);
+        }
+    }
+    return ocrData;
 }
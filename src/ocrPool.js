@@ -0,0 +1,160 @@
+import { createWorker } from "tesseract.js";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "./utils.js";
+import { OCR_WORKERS, OCR_QUEUE_LIMIT, OCR_JOB_TIMEOUT_SECONDS } from "./config.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ===========================
+// TESSERACT WORKER POOL
+// ===========================
+// Up to OCR_WORKERS workers, started on demand. Jobs wait in a bounded
+// queue; a worker whose job fails or runs past the timeout is thrown away
+// and a fresh one is started for the next job.
+class OCRWorkerPool {
+    constructor() {
+        this.size = OCR_WORKERS;
+        this.slots = [];    // { worker, job } job is null while idle
+        this.starting = 0;  // workers being created
+        this.queue = [];    // { image, resolve, reject }
+        this.maxInitAttempts = 3;
+        this.closed = false;
+    }
+
+    /**
+     * Recognizes an image on the next free worker.
+     * @param {Buffer|string} image
+     * @param {function} onQueued - Called with the 1-based queue position if the job has to wait
+     * @returns {Promise<object>} - Tesseract result
+     */
+    recognize(image, onQueued = null) {
+        if (this.closed) return Promise.reject(new Error("OCR is shutting down"));
+        if (this.queue.length >= OCR_QUEUE_LIMIT) {
+            return Promise.reject(new Error(`OCR queue is full (${OCR_QUEUE_LIMIT} waiting)`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { image, resolve, reject };
+            this.queue.push(job);
+            this.dispatch();
+
+            // Workers still starting up will take the first jobs, so those don't count as waiting
+            const position = this.queue.indexOf(job) + 1 - this.starting;
+            if (position > 0 && onQueued) {
+                Promise.resolve(onQueued(position)).catch(() => { });
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            workers: this.slots.length,
+            busy: this.slots.filter(s => s.job).length,
+            starting: this.starting,
+            queued: this.queue.length
+        };
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const slot = this.slots.find(s => !s.job);
+            if (!slot) break;
+            this.run(slot, this.queue.shift());
+        }
+
+        while (this.queue.length > this.starting && this.slots.length + this.starting < this.size) {
+            this.spawn();
+        }
+    }
+
+    async spawn() {
+        this.starting++;
+        try {
+            const worker = await this.createWorker();
+            if (this.closed) {
+                await worker.terminate().catch(() => { });
+                return;
+            }
+            this.slots.push({ worker, job: null });
+        } catch (error) {
+            // No worker will come for what's queued; fail it rather than hang
+            if (this.slots.length === 0 && this.starting === 1) {
+                for (const job of this.queue.splice(0)) job.reject(error);
+            }
+        } finally {
+            this.starting--;
+            this.dispatch();
+        }
+    }
+
+    async createWorker(attempt = 1) {
+        try {
+            console.log(`⚙️ Initializing Tesseract Worker (${this.slots.length + this.starting}/${this.size})...`);
+            const worker = await createWorker("eng", 1, {
+                langPath: path.resolve(__dirname, "../"),
+                gzip: false,
+                cachePath: path.join(__dirname, "../.tesseract_cache")
+            });
+            console.log("✅ Tesseract Worker Ready!");
+            return worker;
+        } catch (error) {
+            console.error(`❌ Failed to init Tesseract (attempt ${attempt}):`, error);
+            if (attempt >= this.maxInitAttempts) {
+                throw new Error(`Failed to initialize Tesseract after ${this.maxInitAttempts} attempts: ${error.message}`);
+            }
+            console.log(`🔄 Retrying initialization...`);
+            await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+            return this.createWorker(attempt + 1);
+        }
+    }
+
+    async run(slot, job) {
+        slot.job = job;
+        try {
+            const result = await Promise.race([
+                slot.worker.recognize(job.image),
+                new Promise((_, reject) => {
+                    job.timer = setTimeout(
+                        () => reject(new Error(`OCR timed out after ${OCR_JOB_TIMEOUT_SECONDS}s`)),
+                        OCR_JOB_TIMEOUT_SECONDS * 1000
+                    );
+                })
+            ]);
+            slot.job = null;
+            job.resolve(result);
+        } catch (error) {
+            if (!this.closed) this.recycle(slot, error.message);
+            job.reject(error);
+        } finally {
+            clearTimeout(job.timer);
+            if (!this.closed) this.dispatch();
+        }
+    }
+
+    // A worker that crashed or hung can't be trusted with the next job
+    recycle(slot, reason) {
+        logger.error(`♻️ Recycling Tesseract worker: ${reason}`);
+        this.slots = this.slots.filter(s => s !== slot);
+        slot.worker.terminate().catch(() => { });
+    }
+
+    async terminate() {
+        this.closed = true;
+        const error = new Error("OCR is shutting down");
+        for (const job of this.queue.splice(0)) job.reject(error);
+
+        const slots = this.slots.splice(0);
+        for (const slot of slots) {
+            if (slot.job) {
+                clearTimeout(slot.job.timer);
+                slot.job.reject(error);
+            }
+        }
+        await Promise.all(slots.map(slot =>
+            slot.worker.terminate().catch(err => console.error("Error terminating worker:", err))
+        ));
+    }
+}
+
+export const ocrPool = new OCRWorkerPool();
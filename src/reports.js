@@ -0,0 +1,56 @@
+import { db, REPORT_REASONS } from "./database.js";
+import { outbox } from "./delivery.js";
+import { escapeHtml } from "./utils.js";
+import { ADMIN_GROUP_ID, REPORT_HIDE_THRESHOLD } from "./config.js";
+
+export const REPORT_REASON_LABELS = {
+    spam: '🤖 Spam / bot',
+    nsfw: '🔞 NSFW',
+    impersonation: '🎭 Impersonation',
+    dead: '💀 Dead account'
+};
+
+export { REPORT_REASONS };
+
+/**
+ * Stores a member's report and hides the profile once enough members agree.
+ * @param {number} reporterId
+ * @param {number} targetId
+ * @param {string} reason - One of REPORT_REASONS
+ * @returns {Promise<object>} - { created, count, hidden } hidden is true only when this report tipped it
+ */
+export async function fileReport(reporterId, targetId, reason) {
+    const { created } = await db.createProfileReport(reporterId, targetId, reason);
+    const count = await db.countOpenReports(targetId);
+
+    if (!created || count < REPORT_HIDE_THRESHOLD) {
+        return { created, count, hidden: false };
+    }
+
+    const hidden = await db.setHidden(targetId, true);
+    if (hidden) {
+        const target = db.getUser(targetId);
+        await outbox.deliver('sendMessage', ADMIN_GROUP_ID, [
+            `🚩 <b>Profile Auto-Hidden</b>\n\n` +
+            `🐦 @${escapeHtml(target?.x_username || targetId)} (ID: ${targetId})\n` +
+            `${count} members reported it. Latest: ${REPORT_REASON_LABELS[reason]}\n\n` +
+            `Review it under /admin → 🚩 Reports.`,
+            { parse_mode: "HTML" }
+        ]);
+    }
+    return { created, count, hidden };
+}
+
+/**
+ * One line per reason, e.g. "🤖 Spam / bot ×2".
+ * @param {string[]} reasons
+ * @returns {string}
+ */
+export function summarizeReasons(reasons) {
+    const counts = {};
+    for (const reason of reasons) counts[reason] = (counts[reason] || 0) + 1;
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([reason, n]) => `${REPORT_REASON_LABELS[reason] || reason} ×${n}`)
+        .join(", ");
+}
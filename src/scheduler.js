@@ -0,0 +1,218 @@
+import { db } from "./database.js";
+import { distributionRunner } from "./distribution.js";
+import { outbox } from "./delivery.js";
+import { escapeHtml, logger } from "./utils.js";
+import { ADMIN_GROUP_ID } from "./config.js";
+
+// ===========================
+// CRON PARSING (UTC, 5 FIELDS)
+// ===========================
+const CRON_FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12 },
+    { name: "day of week", min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+function parseCronField(expr, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of expr.split(",")) {
+        const [rangeExpr, stepExpr] = part.split("/");
+        const step = stepExpr === undefined ? 1 : parseInt(stepExpr);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Bad step in ${name}: ${part}`);
+        }
+
+        let from = min;
+        let to = max;
+        if (rangeExpr !== "*") {
+            const [a, b] = rangeExpr.split("-");
+            from = parseInt(a);
+            to = b === undefined ? (stepExpr === undefined ? from : max) : parseInt(b);
+        }
+
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+            throw new Error(`Bad ${name}: ${part}`);
+        }
+
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+
+    return values;
+}
+
+/**
+ * Parses a 5-field cron expression ("m h dom mon dow"), evaluated in UTC.
+ * Also accepts the shorthand "daily HH:MM".
+ * @param {string} expression
+ * @returns {object} - { source, minute, hour, dayOfMonth, month, dayOfWeek, domAny, dowAny }
+ */
+export function parseCron(expression) {
+    let source = String(expression || "").trim().replace(/\s+/g, " ");
+
+    const daily = source.match(/^daily (\d{1,2}):(\d{2})$/i);
+    if (daily) source = `${parseInt(daily[2])} ${parseInt(daily[1])} * * *`;
+
+    const parts = source.split(" ");
+    if (parts.length !== 5) {
+        throw new Error("Expected 5 fields: minute hour day month weekday");
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+    return {
+        source,
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        domAny: parts[2] === "*",
+        dowAny: parts[4] === "*"
+    };
+}
+
+function matchesDay(cron, date) {
+    const dom = cron.dayOfMonth.has(date.getUTCDate());
+    const dow = cron.dayOfWeek.has(date.getUTCDay());
+    // Classic cron: when both day fields are restricted, either one may match
+    if (!cron.domAny && !cron.dowAny) return dom || dow;
+    return dom && dow;
+}
+
+/**
+ * Returns the first time strictly after `after` that matches the expression.
+ * @param {string|object} expression - Cron string or parseCron() result
+ * @param {Date} after
+ * @returns {Date|null} - null if nothing matches within a year
+ */
+export function getNextRun(expression, after = new Date()) {
+    const cron = typeof expression === "string" ? parseCron(expression) : expression;
+
+    const t = new Date(after.getTime());
+    t.setUTCSeconds(0, 0);
+    t.setUTCMinutes(t.getUTCMinutes() + 1);
+
+    const limit = after.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (t.getTime() <= limit) {
+        if (!cron.month.has(t.getUTCMonth() + 1) || !matchesDay(cron, t)) {
+            t.setUTCDate(t.getUTCDate() + 1);
+            t.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hour.has(t.getUTCHours())) {
+            t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minute.has(t.getUTCMinutes())) {
+            t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        return t;
+    }
+
+    return null;
+}
+
+// ===========================
+// DISTRIBUTION SCHEDULER
+// ===========================
+class DistributionScheduler {
+    constructor() {
+        this.bot = null;
+        this.timer = null;
+        this.running = false;
+        this.TICK_INTERVAL = 30 * 1000;
+    }
+
+    start(bot) {
+        this.bot = bot;
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(error => logger.error("Scheduler tick failed:", error));
+        }, this.TICK_INTERVAL);
+        this.tick().catch(error => logger.error("Scheduler tick failed:", error));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        // A distribution can take longer than one tick; don't stack them
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const due = await db.getDueSchedules();
+            for (const schedule of due) {
+                const now = new Date();
+                const nextRun = getNextRun(schedule.cron, now);
+                const claimed = await db.claimScheduleRun(schedule, nextRun, now);
+                if (!claimed) continue;
+
+                await this.runSchedule(claimed);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async runSchedule(schedule) {
+        const shortId = schedule._id.toString().slice(0, 6);
+        logger.info(`⏰ Running schedule ${shortId} (${schedule.profile_count} profiles)`);
+
+        const header =
+            `⏰ <b>Scheduled Distribution</b> <code>${shortId}</code>\n` +
+            `🗓 <code>${escapeHtml(schedule.cron)}</code> (UTC)\n` +
+            `⏭ Next: ${schedule.next_run ? new Date(schedule.next_run).toUTCString() : 'never'}`;
+
+        try {
+            if (distributionRunner.isRunning()) {
+                await outbox.sendMessage(
+                    ADMIN_GROUP_ID,
+                    `${header}\n\n⚠️ Skipped: another distribution is still running.`,
+                    { parse_mode: "HTML" }
+                );
+                return;
+            }
+
+            // The runner edits this message with live progress and the final summary
+            const status = await outbox.sendMessage(
+                ADMIN_GROUP_ID,
+                `${header}\n\n📤 Starting ${schedule.profile_count} profiles per user...`,
+                { parse_mode: "HTML" }
+            );
+
+            const { done } = await distributionRunner.start(this.bot, {
+                profileCount: schedule.profile_count,
+                trigger: 'schedule',
+                scheduleId: schedule._id,
+                statusChatId: status.chat.id,
+                statusMessageId: status.message_id
+            });
+            await done;
+        } catch (error) {
+            logger.error(`Schedule ${shortId} failed:`, error);
+            try {
+                await outbox.sendMessage(
+                    ADMIN_GROUP_ID,
+                    `🚨 <b>Scheduled Distribution Failed</b> <code>${shortId}</code>\n\n` +
+                    `Error: ${escapeHtml(error.message)}`,
+                    { parse_mode: "HTML" }
+                );
+            } catch (e) {
+                logger.error("Could not post schedule failure:", e.message);
+            }
+        }
+    }
+}
+
+export const scheduler = new DistributionScheduler();
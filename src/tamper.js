@@ -0,0 +1,314 @@
+import Jimp from "jimp";
+import { Worker } from "worker_threads";
+
+// Heuristics for edited verification screenshots. None of them proves an edit;
+// each check gives a 0..1 suspicion and the combined score decides whether a
+// human has to look. Checks that can't run on an image (no button found, no
+// status bar) are skipped rather than counted as clean or dirty.
+//
+// The pixel work takes a second or so on a phone screenshot, so it runs in a
+// worker thread (tamperWorker.js) to keep the bot responsive meanwhile.
+
+const X_HEIGHT_LETTERS = "acemnorsuvwxz";
+const TALL_LETTERS = "bdfhklt";
+
+const ANALYSIS_TIMEOUT_MS = 30 * 1000;
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function inside(bbox, outer, margin = 4) {
+    const cx = (bbox.x0 + bbox.x1) / 2;
+    const cy = (bbox.y0 + bbox.y1) / 2;
+    return cx >= outer.x0 - margin && cx <= outer.x1 + margin && cy >= outer.y0 - margin && cy <= outer.y1 + margin;
+}
+
+// Gray value (0-255) per pixel, row-major
+function toGray(image) {
+    const { width, height, data } = image.bitmap;
+    const gray = new Uint8Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+    }
+    return { gray, width, height };
+}
+
+// Half-size copy of a gray image (2x2 means), starting at pixel (px, py)
+function halveGray(source, px = 0, py = 0) {
+    const width = Math.floor((source.width - px) / 2);
+    const height = Math.floor((source.height - py) / 2);
+    const gray = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const row = (y * 2 + py) * source.width + px;
+        for (let x = 0; x < width; x++) {
+            const i = row + x * 2;
+            gray[y * width + x] = (source.gray[i] + source.gray[i + 1] + source.gray[i + source.width] + source.gray[i + source.width + 1]) >> 2;
+        }
+    }
+    return { gray, width, height };
+}
+
+// 8x8 block at (x, y) as 4x4 cell means quantized to 3 bits, packed into one
+// 48-bit number. -1 for blocks without a few sharp steps between neighbouring
+// cells: flat areas and the soft ramps that resampling leaves around edges
+// match each other all over a resized screenshot.
+const cells = new Array(16);
+function blockKey(gray, width, x, y) {
+    let min = 255;
+    let max = 0;
+    for (let c = 0; c < 16; c++) {
+        const i = (y + (c >> 2) * 2) * width + x + (c & 3) * 2;
+        cells[c] = (gray[i] + gray[i + 1] + gray[i + width] + gray[i + width + 1]) >> 2;
+        if (cells[c] < min) min = cells[c];
+        if (cells[c] > max) max = cells[c];
+    }
+    if (max - min < 64) return -1;
+    let steps = 0;
+    for (let c = 0; c < 16; c++) {
+        if ((c & 3) < 3 && Math.abs(cells[c] - cells[c + 1]) >= 48) steps++;
+        if (c < 12 && Math.abs(cells[c] - cells[c + 4]) >= 48) steps++;
+    }
+    if (steps < 4) return -1;
+    let key = 0;
+    for (let c = 0; c < 16; c++) key = key * 8 + (cells[c] >> 5);
+    return key;
+}
+
+/**
+ * Letters pasted over the button rarely match the font exactly: same-class
+ * glyphs end up with different heights or sit on different baselines.
+ */
+function checkButtonGlyphs(ocrData, profile) {
+    const button = profile.followButton;
+    if (!button) return null;
+
+    const glyphs = (ocrData.symbols || []).filter(s => s.bbox && s.text && inside(s.bbox, button.bbox));
+    let worst = 0;
+    for (const letters of [X_HEIGHT_LETTERS, TALL_LETTERS]) {
+        const heights = glyphs
+            .filter(s => letters.includes(s.text.toLowerCase()) && (letters === TALL_LETTERS || s.text === s.text.toLowerCase()))
+            .map(s => s.bbox.y1 - s.bbox.y0);
+        if (heights.length < 2) continue;
+        worst = Math.max(worst, (Math.max(...heights) - Math.min(...heights)) / median(heights));
+    }
+
+    // Baseline: everything without a descender should end on the same row
+    const grounded = glyphs.filter(s => (X_HEIGHT_LETTERS + TALL_LETTERS).includes(s.text.toLowerCase()));
+    if (grounded.length >= 3) {
+        const bottoms = grounded.map(s => s.bbox.y1);
+        const size = median(grounded.map(s => s.bbox.y1 - s.bbox.y0));
+        worst = Math.max(worst, (Math.max(...bottoms) - Math.min(...bottoms)) / size);
+    }
+
+    if (glyphs.length < 3) return null;
+    return {
+        check: "button_glyphs",
+        score: clamp01((worst - 0.2) / 0.3),
+        detail: `button glyph sizes vary ${Math.round(worst * 100)}%`
+    };
+}
+
+/**
+ * Copy-move: a region duplicated elsewhere in the image (e.g. a "Following"
+ * button copied from another spot) shows up as many textured blocks that all
+ * match at the same shift. Repeated letters in normal text match at scattered
+ * shifts instead, though a whole word shown twice (the "Following" button and
+ * the "Following" count) gives up to ~30 matches once the image is resized; a
+ * pasted button gives hundreds. In a list every row repeats the row above it
+ * (same button, same avatar frame), so straight-down shifts are normal there.
+ *
+ * Works at half size: every block of the half-size image is indexed, then
+ * the four half-size copies starting at (0|1, 0|1) are looked up at stride 2.
+ * Whatever the shift's parity, one of them lines the copy up with the source.
+ */
+function checkClonedRegions(full, isList) {
+    const BLOCK = 8;
+    const base = halveGray(full);
+
+    const byKey = new Map();
+    for (let y = 0; y + BLOCK <= base.height; y++) {
+        for (let x = 0; x + BLOCK <= base.width; x++) {
+            const key = blockKey(base.gray, base.width, x, y);
+            if (key < 0) continue;
+            const positions = byKey.get(key);
+            if (positions) positions.push(y * base.width + x);
+            else byKey.set(key, [y * base.width + x]);
+        }
+    }
+
+    const shifts = new Map();
+    for (const [px, py] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        const copy = px || py ? halveGray(full, px, py) : base;
+        for (let y = 0; y + BLOCK <= copy.height; y += 2) {
+            for (let x = 0; x + BLOCK <= copy.width; x += 2) {
+                const key = blockKey(copy.gray, copy.width, x, y);
+                const positions = key < 0 ? null : byKey.get(key);
+                if (!positions || positions.length > 8) continue; // common glyph pieces
+
+                for (const position of positions) {
+                    // Shift in full-size pixels, pointing down so both directions count once
+                    let dx = x * 2 + px - (position % base.width) * 2;
+                    let dy = y * 2 + py - Math.floor(position / base.width) * 2;
+                    // Neighbouring blocks overlap, and text repeats along its own line
+                    if (Math.abs(dy) < BLOCK * 2) continue;
+                    if (isList && dx === 0) continue;
+                    if (dy < 0) [dx, dy] = [-dx, -dy];
+                    const shift = `${dx},${dy}`;
+                    shifts.set(shift, (shifts.get(shift) || 0) + 1);
+                }
+            }
+        }
+    }
+
+    let shift = "-";
+    let count = 0;
+    for (const [key, n] of shifts) {
+        if (n > count) [shift, count] = [key, n];
+    }
+    return {
+        check: "cloned_region",
+        score: clamp01((count - 40) / 60),
+        detail: `${count} matching blocks at shift ${shift}`
+    };
+}
+
+/**
+ * Telegram re-encodes every photo as JPEG on an 8x8 grid anchored at the
+ * corner, which leaves a mild step every 8th pixel. Two things are abnormal:
+ * a much stronger step (saved at low quality again and again), or a second
+ * grid at another phase (an earlier JPEG that was cropped and edited).
+ */
+function checkRecompression({ gray, width, height }) {
+    const columns = new Array(8).fill(0);
+    const rows = new Array(8).fill(0);
+
+    // Only steps in smooth areas: real edges would drown the grid out
+    const step = (d, before, after) =>
+        Math.abs(before) < 6 && Math.abs(after) < 6 && Math.abs(d) < 12 ? Math.abs(d - (before + after) / 2) : 0;
+
+    for (let y = 2; y < height - 1; y++) {
+        for (let x = 2; x < width - 1; x++) {
+            const i = y * width + x;
+            columns[x % 8] += step(gray[i] - gray[i - 1], gray[i - 1] - gray[i - 2], gray[i + 1] - gray[i]);
+            rows[y % 8] += step(gray[i] - gray[i - width], gray[i - width] - gray[i - 2 * width], gray[i + width] - gray[i]);
+        }
+    }
+
+    const phases = (sums) => {
+        const mean = sums.reduce((a, b) => a + b, 0) / 8 || 1;
+        // 1 and 7 bleed from the aligned grid, so a second grid shows in 2..6
+        return { aligned: sums[0] / mean, shifted: Math.max(...sums.slice(2, 7)) / mean };
+    };
+    const h = phases(columns);
+    const v = phases(rows);
+    const aligned = Math.min(h.aligned, v.aligned);
+    const shifted = Math.max(h.shifted, v.shifted);
+
+    return {
+        check: "recompression",
+        score: Math.max(clamp01((shifted - 0.95) / 0.25), clamp01((aligned - 2.2) / 0.8)),
+        detail: shifted > 0.95 ? `second JPEG grid (${shifted.toFixed(2)}x)` : `JPEG blocking ${aligned.toFixed(2)}x`
+    };
+}
+
+/**
+ * A profile pasted into another screenshot (or a desktop crop framed as a
+ * phone) has a status bar whose text doesn't fit the scale of the X UI.
+ * Compares the status bar's ink height with X's secondary text (handle, counts).
+ */
+function checkStatusBarScale({ gray, width, height }, profile) {
+    const uiHeights = [profile.handle, profile.followingCount, profile.followerCount]
+        .filter(Boolean)
+        .map(f => f.bbox.y1 - f.bbox.y0);
+    if (uiHeights.length === 0) return null;
+
+    const strip = Math.round(height * 0.04);
+    let run = 0;
+    let longest = 0;
+    for (let y = 0; y < strip; y++) {
+        const background = gray[y * width + Math.round(width / 2)];
+        let ink = 0;
+        for (let x = 0; x < width; x++) {
+            if (Math.abs(gray[y * width + x] - background) > 60) ink++;
+        }
+        run = ink > width * 0.005 ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    }
+    if (longest < 3) return null; // no status bar: cropped, nothing to compare
+
+    const ratio = longest / median(uiHeights);
+    const off = ratio < 0.5 ? 0.5 / ratio : ratio / 1.8;
+    return {
+        check: "status_bar_scale",
+        score: clamp01((off - 1) / 0.5),
+        detail: `status bar text ${ratio.toFixed(2)}x the UI text`
+    };
+}
+
+/**
+ * Runs every tamper check in the current thread. Used by tamperWorker.js;
+ * everything else should call analyzeTampering().
+ * @returns {Promise<object>} - See analyzeTampering()
+ */
+export async function runTamperChecks(buffer, ocrData, profile, layout = "profile") {
+    const image = await Jimp.read(buffer);
+    const gray = toGray(image);
+    const isList = layout !== "profile";
+    const results = [
+        isList ? null : checkButtonGlyphs(ocrData, profile),
+        checkClonedRegions(gray, isList),
+        checkRecompression(gray),
+        checkStatusBarScale(gray, profile)
+    ].filter(Boolean);
+
+    // Independent weak signals add up: 1 - P(all clean)
+    const clean = results.reduce((p, r) => p * (1 - r.score), 1);
+    return {
+        score: Math.round((1 - clean) * 100),
+        flags: results.filter(r => r.score > 0)
+    };
+}
+
+/**
+ * Runs every tamper check on a verification screenshot, in a worker thread.
+ * @param {Buffer} buffer - The original image file
+ * @param {object} ocrData - Tesseract result data, boxes in original image pixels
+ * @param {object} profile - From extractProfile()
+ * @param {string} layout - validation.layout; list screenshots skip the profile-only checks
+ * @returns {Promise<object>} - { score: 0-100, flags: [{ check, score, detail }] } flags only lists checks that found something
+ */
+export function analyzeTampering(buffer, ocrData, profile, layout = "profile") {
+    // Only what the checks read: the full Tesseract result is large and circular
+    const workerData = {
+        buffer,
+        ocrData: { symbols: (ocrData.symbols || []).map(s => ({ text: s.text, bbox: s.bbox })) },
+        profile: JSON.parse(JSON.stringify(profile)),
+        layout
+    };
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL("./tamperWorker.js", import.meta.url), { workerData });
+        const timer = setTimeout(() => {
+            worker.terminate();
+            reject(new Error(`Tamper analysis timed out after ${ANALYSIS_TIMEOUT_MS / 1000}s`));
+        }, ANALYSIS_TIMEOUT_MS);
+
+        worker.once("message", ({ result, error }) => {
+            clearTimeout(timer);
+            worker.terminate();
+            if (error) reject(new Error(error));
+            else resolve(result);
+        });
+        worker.once("error", error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
@@ -0,0 +1,8 @@
+import { parentPort, workerData } from "worker_threads";
+import { runTamperChecks } from "./tamper.js";
+
+// Worker thread for analyzeTampering(): runs the checks and posts the result back
+const { buffer, ocrData, profile, layout } = workerData;
+runTamperChecks(Buffer.from(buffer), ocrData, profile, layout)
+    .then(result => parentPort.postMessage({ result }))
+    .catch(error => parentPort.postMessage({ error: error.message }));
@@ -26,7 +26,8 @@ const userRateLimits = new Map();
 const RATE_LIMIT_WINDOW = 60000;
 const MAX_REQUESTS_PER_WINDOW = 5;
 
-export function checkRateLimit(userId) {
+// Every frame of an album is its own update; mediaGroupId makes them count once
+export function checkRateLimit(userId, mediaGroupId = null) {
     const now = Date.now();
     const userLimit = userRateLimits.get(userId) || {
         count: 0,
@@ -38,11 +39,16 @@ export function checkRateLimit(userId) {
         userLimit.resetTime = now + RATE_LIMIT_WINDOW;
     }
 
+    if (mediaGroupId && userLimit.mediaGroupId === mediaGroupId) {
+        return true;
+    }
+
     if (userLimit.count >= MAX_REQUESTS_PER_WINDOW) {
         return false;
     }
 
     userLimit.count++;
+    userLimit.mediaGroupId = mediaGroupId;
     userRateLimits.set(userId, userLimit);
     return true;
 }
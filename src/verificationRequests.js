@@ -0,0 +1,152 @@
+import { Markup } from "telegraf";
+import { db } from "./database.js";
+import { outbox } from "./delivery.js";
+import { escapeHtml } from "./utils.js";
+import { ADMIN_GROUP_ID, OWNER_X } from "./config.js";
+
+const STATE_LABELS = {
+    pending: '⏳ Pending',
+    approved: '✅ Approved',
+    rejected: '❌ Rejected'
+};
+
+// Why a screenshot was rejected, and what the user should do about it.
+// `restart` reasons need a new username, so the user goes back through /start.
+export const REJECTION_REASONS = {
+    wrong_account: {
+        label: '👤 Wrong account',
+        title: "That's not the right profile",
+        hint: () => `Open <b>@${escapeHtml(OWNER_X)}</b>'s profile on X (not yours) and screenshot that.`,
+        restart: false
+    },
+    not_following: {
+        label: '➕ Not following',
+        title: "You're not following yet",
+        hint: () => `Tap <b>Follow</b> on @${escapeHtml(OWNER_X)} first, then screenshot it once the button says <b>Following</b>.`,
+        restart: false
+    },
+    blurry: {
+        label: '🌫 Blurry',
+        title: "We couldn't read your screenshot",
+        hint: () => `Take a fresh screenshot (no photo of a screen, no crop) so the name and <b>Following</b> button are sharp.`,
+        restart: false
+    },
+    edited: {
+        label: '✂️ Edited',
+        title: "The screenshot looks edited",
+        hint: () => `Send an untouched screenshot straight from your phone. No edits, stickers or markup.`,
+        restart: false
+    },
+    username_mismatch: {
+        label: '🔤 Username mismatch',
+        title: "The username doesn't match",
+        hint: () => `The X username you gave us doesn't match your account. Type /start and send the exact handle.`,
+        restart: true
+    },
+    custom: {
+        label: '✍️ Custom note',
+        title: "Verification not approved",
+        hint: () => `Check the note above and try again.`,
+        restart: false
+    }
+};
+
+export function buildRejectionPicker(requestId) {
+    const codes = Object.keys(REJECTION_REASONS);
+    const rows = [];
+    for (let i = 0; i < codes.length; i += 2) {
+        rows.push(codes.slice(i, i + 2).map(code =>
+            Markup.button.callback(REJECTION_REASONS[code].label, `vrej_${code}_${requestId}`)
+        ));
+    }
+    rows.push([Markup.button.callback('🔙 Back', `vrej_back_${requestId}`)]);
+    return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * The message a rejected user gets: what was wrong and how to fix it.
+ * @param {string} code - Key of REJECTION_REASONS
+ * @param {string|null} note - Admin's own words, for 'custom' or on top of a preset
+ * @returns {string} - HTML caption, sent with the example screenshot
+ */
+export function buildRejectionMessage(code, note) {
+    const reason = REJECTION_REASONS[code] || REJECTION_REASONS.custom;
+    return `❌ <b>${reason.title}</b>\n\n` +
+        (note ? `📝 ${escapeHtml(note)}\n\n` : '') +
+        `💡 ${reason.hint()}\n\n` +
+        (reason.restart
+            ? `Type /start to try again.`
+            : `Just send a new screenshot here, like this example. 👆`);
+}
+
+// "Same screenshot as..." lines, linking each earlier submitter on Telegram and X
+function formatDuplicates(duplicates) {
+    if (!duplicates?.length) return '';
+    return `♻️ <b>Same screenshot as:</b>\n` + duplicates.slice(0, 3).map(d =>
+        `   • <a href="tg://user?id=${d.user_id}">${d.user_id}</a> · ` +
+        `<a href="https://x.com/${encodeURIComponent(d.x_username)}">@${escapeHtml(d.x_username)}</a>` +
+        (d.distance > 0 ? ` (${d.distance} bits off)` : ' (identical)')
+    ).join('\n') + '\n';
+}
+
+/**
+ * Builds the admin review card for a verification request.
+ * @param {object} request - VerificationRequest document
+ * @param {string} title - e.g. "Manual Review Needed"
+ * @returns {object} - { caption, extra }
+ */
+export function buildReviewCard(request, title = "Manual Review Needed") {
+    const ocr = request.ocr || {};
+    const caption =
+        `⚠️ <b>${escapeHtml(title)}</b>\n\n` +
+        `👤 ${escapeHtml(request.telegram_name || "Unknown")} (@${escapeHtml(request.telegram_username || "none")})\n` +
+        `🆔 ${request.user_id}\n` +
+        `🐦 X: @${escapeHtml(request.x_username)}\n` +
+        (ocr.confidence !== undefined && ocr.confidence !== null ? `📊 Confidence: ${Math.round(ocr.confidence)}%\n` : '') +
+        `❓ Reason: ${escapeHtml(request.reason || "—")}\n` +
+        formatDuplicates(request.duplicate_of) +
+        (request.policy?.mode === 'shadow' && request.policy.would_auto_verify ? `🌗 Shadow: would have auto-verified\n` : '') +
+        (request.tamper?.score ? `🧪 Tamper score: ${request.tamper.score}%` +
+            (request.tamper.flags?.length ? ` (${escapeHtml(request.tamper.flags.join('; '))})` : '') + '\n' : '') +
+        (ocr.layout && ocr.layout !== 'profile' ? `📋 Screenshot: ${escapeHtml(ocr.layout.replace('_', ' '))}\n` : '') +
+        (ocr.follow_state ? `🔍 Follow State: ${escapeHtml(ocr.follow_state)}\n` : '') +
+        (ocr.handle ? `🔎 Handle read: @${escapeHtml(ocr.handle)}\n` : '') +
+        (ocr.language ? `🌐 X language: ${escapeHtml(ocr.language)}\n` : '') +
+        `⏰ ${new Date(request.created_at).toLocaleString()}\n` +
+        `🧾 <code>${request._id}</code>\n\n` +
+        `Verify this user? Tap below or reply yes/no.`;
+
+    const extra = {
+        caption,
+        parse_mode: "HTML",
+        ...Markup.inlineKeyboard([
+            [Markup.button.url(`🔗 View @${request.x_username} on X`, `https://x.com/${request.x_username}`)],
+            [Markup.button.callback('✅ Verify', `verify_${request._id}`), Markup.button.callback('❌ Reject', `decline_${request._id}`)]
+        ])
+    };
+
+    return { caption, extra };
+}
+
+/**
+ * Posts the review card with the screenshot. In the admin group it also
+ * remembers which message it is, so a yes/no reply can find the request.
+ * @returns {Promise<object>} - The sent message
+ */
+export async function sendReviewCard(chatId, request, title) {
+    const { extra } = buildReviewCard(request, title);
+    // Screenshots sent as files have a document file_id, which sendPhoto rejects
+    const message = request.photo_kind === 'document'
+        ? await outbox.sendDocument(chatId, request.photo_file_id, extra)
+        : await outbox.sendPhoto(chatId, request.photo_file_id, extra);
+    if (chatId === ADMIN_GROUP_ID) {
+        await db.setVerificationReviewMessage(request._id, message.chat.id, message.message_id);
+    }
+    return message;
+}
+
+export function describeRequestState(request) {
+    const label = STATE_LABELS[request.state] || request.state;
+    if (request.state === 'pending') return label;
+    return request.reviewer_id ? `${label} by ${request.reviewer_id}` : `${label} automatically`;
+}